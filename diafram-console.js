@@ -0,0 +1,178 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-console.js) runs a diaFRAM model "headless"
+under Node.js, i.e., without browser and without graphical user interface.
+It loads a .dfram file, runs the simulation for the model's run length (or
+the specified number of cycles), and writes the activity state vectors and
+aspect values to the console (or to a file) as JSON.
+When the number of runs is specified, the model is run as a batch, and the
+outcome statistics are written instead (as CSV if the output file name
+ends with .csv).
+
+Usage:  node diafram-console.js model.dfram [cycles=N] [runs=N]
+            [mode=cycles|events] [out=results.json]
+
+The mode overrides the simulation mode set for the model: cycle-driven
+(each cycle is computed in turn) or event-driven (the remaining cycles are
+computed at once when no function can change state any more). In both modes,
+only those functions that may change state are evaluated.
+
+NOTE: Node.js has no built-in XML parser, so this script requires the
+package @xmldom/xmldom (install it with: npm install @xmldom/xmldom).
+*/
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+const
+    fs = require('fs'),
+    path = require('path'),
+    vm = require('vm');
+
+// The diaFRAM scripts that do not depend on the browser DOM, in their
+// proper loading sequence.
+const HEADLESS_SCRIPTS = ['-config', '-ctrl', '-model', '-vm', '-utils'];
+
+function loadDiaFRAM(xml_parser=null) {
+  // Load the headless diaFRAM scripts into the global context, and create
+  // the global objects that the model and the VM expect to exist.
+  // NOTE: The scripts are not modules but define global classes and
+  // functions, just like they do in the browser.
+  if(!xml_parser) {
+    const {DOMParser} = require('@xmldom/xmldom');
+    xml_parser = new DOMParser();
+  }
+  global.DIAFRAM_VERSION = '0.1.1';
+  global.XML_PARSER = xml_parser;
+  // Objects that exist only in the GUI remain NULL.
+  global.X_EDIT = null;
+  global.ACTOR_MANAGER = null;
+  global.FILE_MANAGER = null;
+  global.DOCUMENTATION_MANAGER = null;
+  global.UNDO_STACK = null;
+  global.FINDER = null;
+  global.AUTO_SAVE = null;
+  global.MODEL = null;
+  const dir = path.join(__dirname, 'scripts');
+  for(let i = 0; i < HEADLESS_SCRIPTS.length; i++) {
+    const fn = path.join(dir, 'diafram' + HEADLESS_SCRIPTS[i] + '.js');
+    vm.runInThisContext(fs.readFileSync(fn, 'utf8'), {filename: fn});
+  }
+  // The base classes serve as no-op UI adapter and console monitor.
+  global.UI = new Controller();
+  global.MONITOR = new Monitor();
+  global.VM = new VirtualMachine();
+  global.MODEL = new diaFRAMModel('', '');
+}
+
+function loadModel(xml) {
+  // Create a new model from string `xml` (either .dfram, .xfmv or .json).
+  // Return TRUE if successful.
+  MODEL = new diaFRAMModel();
+  return MODEL.parseXML(xml);
+}
+
+function setMode(mode) {
+  // Override the simulation mode of the model when `mode` is specified.
+  if(mode) MODEL.event_driven = (mode === 'events');
+}
+
+function runModel(xml, cycles=0, mode='') {
+  // Load the model from string `xml`, run it, and return the results
+  // as plain data (or NULL if the model could not be loaded).
+  if(!loadModel(xml)) return null;
+  setMode(mode);
+  return VM.run(cycles);
+}
+
+function runBatch(xml, runs, cycles=0, mode='') {
+  // Load the model from string `xml`, run it `runs` times, and return the
+  // batch with its outcome samples (or NULL if the model could not be
+  // loaded).
+  if(!loadModel(xml)) return null;
+  setMode(mode);
+  return VM.runBatch(runs, cycles);
+}
+
+module.exports = {loadDiaFRAM, loadModel, runModel, runBatch};
+
+// When called from the command line, process the arguments.
+if(require.main === module) {
+  const
+      args = process.argv.slice(2),
+      settings = {file: '', cycles: 0, runs: 0, mode: '', out: ''};
+  for(let i = 0; i < args.length; i++) {
+    const av = args[i].split('=');
+    if(av.length === 1) {
+      settings.file = av[0];
+    } else if(av[0] === 'cycles') {
+      settings.cycles = parseInt(av[1]) || 0;
+    } else if(av[0] === 'runs') {
+      settings.runs = parseInt(av[1]) || 0;
+    } else if(av[0] === 'mode' && ['cycles', 'events'].indexOf(av[1]) >= 0) {
+      settings.mode = av[1];
+    } else if(av[0] === 'out') {
+      settings.out = av[1];
+    } else {
+      console.log(`WARNING: Unknown argument "${args[i]}"`);
+    }
+  }
+  if(!settings.file) {
+    console.log('Usage:  node diafram-console.js model.dfram ' +
+        '[cycles=N] [runs=N] [mode=cycles|events] [out=results.json]');
+    process.exit(1);
+  }
+  loadDiaFRAM();
+  const
+      xml = fs.readFileSync(settings.file, 'utf8'),
+      results = (settings.runs > 0 ?
+          runBatch(xml, settings.runs, settings.cycles, settings.mode) :
+          runModel(xml, settings.cycles, settings.mode));
+  if(!results) {
+    console.log(`ERROR: Failed to load model "${settings.file}"`);
+    process.exit(1);
+  }
+  // Report problems detected while loading the model (on stderr, so that
+  // they do not end up in the results).
+  const vi = MODEL.validation_issues;
+  for(let i = 0; i < vi.length; i++) {
+    const e = vi[i].entity;
+    console.warn('WARNING:', (e ? `${e.type} "${e.displayName}": ` : '') +
+        vi[i].message);
+  }
+  let json;
+  if(!(results instanceof BatchRun)) {
+    json = JSON.stringify(results, null, 2);
+  } else if(settings.out.toLowerCase().endsWith('.csv')) {
+    json = results.asCSV;
+  } else {
+    json = JSON.stringify(results.summary, null, 2);
+  }
+  if(settings.out) {
+    fs.writeFileSync(settings.out, json);
+    console.log(`Results written to ${settings.out}`);
+  } else {
+    console.log(json);
+  }
+}
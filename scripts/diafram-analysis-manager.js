@@ -0,0 +1,165 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-analysis-manager.js) provides the GUI for
+analyzing the structure of a diaFRAM model: the draggable/resizable dialog
+that shows the trigger sequence (layers of functions reachable from the
+entry functions), the unreachable functions, the functions that can never
+become active, and the longest upstream chain to the selected function.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS AnalysisManager provides the analysis dialog functionality
+class AnalysisManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('analysis');
+    UI.resizableDialog('analysis', 'ANALYSIS_MANAGER');
+    this.close_btn = document.getElementById('analysis-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.table = document.getElementById('analysis-table');
+    this.chain_links = [];
+    this.chain_activities = [];
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.target = null;
+    this.chain_links.length = 0;
+    this.chain_activities.length = 0;
+  }
+
+  inChain(obj) {
+    // Return TRUE if activity or link `obj` is part of the longest
+    // upstream chain to the target activity.
+    if(!this.visible || !this.target) return false;
+    if(obj instanceof Activity) return this.chain_activities.indexOf(obj) >= 0;
+    if(this.chain_links.indexOf(obj) >= 0) return true;
+    // NOTE: Deep links may comprise a link in the chain.
+    for(let i = 0; i < obj.deep_links.length; i++) {
+      if(this.chain_links.indexOf(obj.deep_links[i]) >= 0) return true;
+    }
+    return false;
+  }
+
+  setTarget(a) {
+    // Set the activity for which the longest upstream chain is shown.
+    this.target = a;
+    this.chain_links = (a ? MODEL.longestUpstreamChain(a) : []);
+    this.chain_activities = this.chain_links.map((l) => l.from_activity);
+    if(a) this.chain_activities.push(a);
+  }
+
+  selectActivity(id) {
+    // Select the activity in the diagram (if visible there), and show
+    // its longest upstream chain.
+    const a = MODEL.activities[id];
+    if(!a) return;
+    if(MODEL.focal_activity.sub_activities.indexOf(a) >= 0) {
+      MODEL.clearSelection();
+      MODEL.select(a);
+    }
+    this.setTarget(a);
+    this.updateDialog();
+    UI.drawDiagram(MODEL);
+    UI.updateButtons();
+  }
+
+  checkSelection() {
+    // Show the chain for the selected activity when the selection has
+    // changed.
+    if(!this.visible) return;
+    const
+        sel = MODEL.selection,
+        a = (sel.length === 1 && sel[0] instanceof Activity &&
+            sel[0].isLeaf ? sel[0] : null);
+    if(a && a !== this.target) {
+      this.setTarget(a);
+      this.updateDialog();
+      UI.drawDiagram(MODEL);
+    }
+  }
+
+  activityRow(a, extra='') {
+    // Return HTML for a table row that shows the name of activity `a`.
+    return ['<tr class="dataset', (a === this.target ? ' sel-set' : ''),
+        '" onclick="ANALYSIS_MANAGER.selectActivity(\'', a.identifier,
+        '\');"><td><img class="finder" src="images/activity.png">',
+        a.displayName, extra, '</td></tr>'].join('');
+  }
+
+  updateDialog() {
+    // Display the results of the analysis.
+    if(!this.visible) return;
+    // NOTE: The target may have been deleted.
+    if(this.target && MODEL.activities[this.target.identifier] !==
+        this.target) this.target = null;
+    this.setTarget(this.target);
+    const
+        seq = MODEL.triggerSequence,
+        unr = seq.unreachable || [],
+        never = MODEL.neverActiveActivities,
+        html = [];
+    html.push('<tr><th>Trigger sequence</th></tr>');
+    if(!seq.length) {
+      html.push('<tr><td class="analysis-none">(no entry functions)</td></tr>');
+    }
+    for(let i = 0; i < seq.length; i++) {
+      html.push('<tr><td class="analysis-layer">',
+          (i ? `Layer ${i}` : 'Entry functions'), '</td></tr>');
+      for(let j = 0; j < seq[i].length; j++) {
+        html.push(this.activityRow(seq[i][j]));
+      }
+    }
+    html.push('<tr><th>Unreachable from entry functions</th></tr>');
+    if(!unr.length) html.push('<tr><td class="analysis-none">(none)</td></tr>');
+    for(let i = 0; i < unr.length; i++) html.push(this.activityRow(unr[i]));
+    html.push('<tr><th>Can never become active</th></tr>');
+    if(!never.length) {
+      html.push('<tr><td class="analysis-none">(none)</td></tr>');
+    }
+    for(let i = 0; i < never.length; i++) {
+      html.push(this.activityRow(never[i][0],
+          ` <em class="analysis-reason">${never[i][1]}</em>`));
+    }
+    html.push('<tr><th>Longest upstream chain</th></tr>');
+    if(!this.target) {
+      html.push('<tr><td class="analysis-none">(select a function in the ',
+          'diagram)</td></tr>');
+    } else {
+      html.push('<tr><td class="analysis-layer">',
+          pluralS(this.chain_links.length, 'link'), ' to ',
+          this.target.displayName, '</td></tr>');
+      for(let i = 0; i < this.chain_activities.length; i++) {
+        const l = this.chain_links[i];
+        html.push(this.activityRow(this.chain_activities[i],
+            (l ? ` → ${circledLetter(l.to_connector)}` : '')));
+      }
+    }
+    this.table.innerHTML = html.join('');
+  }
+
+} // END of class AnalysisManager
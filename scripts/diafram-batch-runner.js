@@ -0,0 +1,168 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-batch-runner.js) provides the GUI for running
+a diaFRAM model repeatedly: the draggable/resizable dialog for setting the
+number of runs, viewing the outcome statistics of the batch, and exporting
+them as CSV file.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS BatchRunner provides the batch run dialog functionality
+class BatchRunner {
+  constructor() {
+    this.dialog = UI.draggableDialog('batch');
+    UI.resizableDialog('batch', 'BATCH_RUNNER');
+    this.close_btn = document.getElementById('batch-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.runs = document.getElementById('batch-runs');
+    this.status = document.getElementById('batch-status');
+    this.table = document.getElementById('batch-table');
+    this.start_btn = document.getElementById('batch-start-btn');
+    this.stop_btn = document.getElementById('batch-stop-btn');
+    this.csv_btn = document.getElementById('batch-csv-btn');
+    this.start_btn.addEventListener('click', () => BATCH_RUNNER.start());
+    this.stop_btn.addEventListener('click', () => BATCH_RUNNER.stop());
+    this.csv_btn.addEventListener('click', () => BATCH_RUNNER.downloadCSV());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.batch = null;
+    this.running = false;
+    this.updateDialog();
+  }
+
+  start() {
+    // Start a new batch of runs.
+    if(this.running) return;
+    // NOTE: Batch runs would reset the VM while an interactive run is
+    // still in progress.
+    if(VM.solving || VM.paused) {
+      UI.warn('Batch cannot start while the model is being run');
+      return;
+    }
+    const n = safeStrToInt(this.runs.value, 0);
+    if(n < 1) {
+      UI.warn('Number of runs must be a positive integer');
+      this.runs.focus();
+      return;
+    }
+    this.runs.value = n;
+    this.batch = new BatchRun(n);
+    this.running = true;
+    this.updateDialog();
+    UI.waitingCursor();
+    // NOTE: Runs are performed one at a time, so that the browser remains
+    // responsive and progress can be shown.
+    setTimeout(() => BATCH_RUNNER.nextRun());
+  }
+
+  nextRun() {
+    // Perform the next run of the batch, unless it has been stopped.
+    if(!this.running || this.batch.done) {
+      this.finish();
+      return;
+    }
+    this.batch.addRun(VM.run(0, this.batch.nextSeed));
+    this.status.innerText = `Run ${this.batch.completed} of ${this.batch.runs}`;
+    UI.setProgressNeedle(this.batch.completed / this.batch.runs);
+    setTimeout(() => BATCH_RUNNER.nextRun());
+  }
+
+  stop() {
+    // Stop the batch after the current run.
+    this.running = false;
+  }
+
+  finish() {
+    this.running = false;
+    UI.normalCursor();
+    UI.setProgressNeedle(0);
+    // The diagram shows the results of the last run.
+    UI.drawDiagram(MODEL);
+    UI.updateTimeStep();
+    MONITOR.updateDialog();
+    this.updateDialog();
+  }
+
+  updateDialog() {
+    // Display the outcome statistics of the current batch (if any).
+    const
+        b = this.batch,
+        stats = VM.outcome_statistics;
+    if(this.running) {
+      UI.enableButtons('batch-stop');
+      UI.disableButtons('batch-start');
+    } else {
+      UI.disableButtons('batch-stop');
+      // A batch cannot start while an interactive run is in progress.
+      if(VM.solving || VM.paused) {
+        UI.disableButtons('batch-start');
+      } else {
+        UI.enableButtons('batch-start');
+      }
+    }
+    if(b && !this.running && b.completed) {
+      UI.enableButtons('batch-csv');
+    } else {
+      UI.disableButtons('batch-csv');
+    }
+    if(!b) {
+      this.status.innerText = '(no batch)';
+      this.table.innerHTML = '';
+      return;
+    }
+    if(!this.running) {
+      this.status.innerText = pluralS(b.completed, 'run') +
+          (b.done ? '' : ` (of ${b.runs})`);
+    }
+    const html = ['<tr><th>Outcome</th>'];
+    for(let i = 0; i < stats.length; i++) html.push(`<th>${stats[i]}</th>`);
+    html.push('</tr>');
+    for(let i = 0; i < b.outcomes.length; i++) {
+      const
+          os = b.outcomes[i],
+          e = os.entity,
+          img = (e instanceof Activity ? 'activity' : 'aspect');
+      html.push('<tr><td class="batch-name"><img src="images/', img,
+          '.png">', e.displayName, ' <em>', os.outcome, '</em></td>');
+      for(let j = 0; j < stats.length; j++) {
+        html.push('<td class="batch-stat">',
+            VM.sig4Dig(os.statistic(stats[j])), '</td>');
+      }
+      html.push('</tr>');
+    }
+    this.table.innerHTML = html.join('');
+  }
+
+  downloadCSV() {
+    // Save the outcome statistics as CSV file.
+    if(this.batch) FILE_MANAGER.pushOutCSV(this.batch.asCSV, 'batch');
+  }
+
+} // END of class BatchRunner
@@ -0,0 +1,266 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-chart-manager.js) provides the GUI for
+viewing simulation results as time series: the draggable/resizable dialog
+that plots the O state of activities and the values of aspects for each
+cycle of the last run, and that copies these data to the clipboard.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ChartManager provides the chart dialog functionality
+class ChartManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('chart');
+    UI.resizableDialog('chart', 'CHART_MANAGER');
+    this.close_btn = document.getElementById('chart-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.time_axis = document.getElementById('chart-time-axis');
+    this.time_axis.addEventListener(
+        'change', () => CHART_MANAGER.updateDialog());
+    this.remove_btn = document.getElementById('chart-remove-btn');
+    this.copy_btn = document.getElementById('chart-copy-btn');
+    this.remove_btn.addEventListener(
+        'click', () => CHART_MANAGER.removeVariable());
+    this.copy_btn.addEventListener('click', () => CHART_MANAGER.copyData());
+    this.variable_table = document.getElementById('chart-variables');
+    this.svg_container = document.getElementById('chart-svg-container');
+    // Activities and aspects can be dragged from the Finder to the chart.
+    this.dialog.addEventListener(
+        'dragover', (event) => CHART_MANAGER.dragOver(event));
+    this.dialog.addEventListener(
+        'drop', (event) => CHART_MANAGER.drop(event));
+    // Margins (in pixels) around the plot area.
+    this.margin = {left: 44, right: 12, top: 10, bottom: 24};
+    this.variables = [];
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.variables.length = 0;
+    this.selected_index = -1;
+    this.updateDialog();
+  }
+
+  entityFromEvent(e) {
+    // Return the activity or aspect that is dragged from the Finder (if any).
+    const id = e.dataTransfer.getData('text');
+    return MODEL.activities[id] || MODEL.aspects[id] || null;
+  }
+
+  dragOver(e) {
+    // Accept activities and aspects that are not charted yet.
+    const obj = this.entityFromEvent(e);
+    if(obj && obj !== MODEL.top_activity &&
+        this.variables.indexOf(obj) < 0) e.preventDefault();
+  }
+
+  drop(e) {
+    // Add the activity or aspect that is dropped to the chart.
+    const obj = this.entityFromEvent(e);
+    if(obj) {
+      e.preventDefault();
+      this.addVariable(obj);
+    }
+  }
+
+  addVariable(obj) {
+    // Add activity or aspect `obj` to the chart (if not already charted).
+    if(obj === MODEL.top_activity) return;
+    if(this.variables.indexOf(obj) < 0) this.variables.push(obj);
+    this.selected_index = this.variables.indexOf(obj);
+    this.updateDialog();
+  }
+
+  selectVariable(index) {
+    this.selected_index = index;
+    this.updateDialog();
+  }
+
+  removeVariable() {
+    // Remove the selected variable from the chart.
+    if(this.selected_index < 0) return;
+    this.variables.splice(this.selected_index, 1);
+    this.selected_index = Math.min(this.selected_index,
+        this.variables.length - 1);
+    this.updateDialog();
+  }
+
+  values(obj) {
+    // Return the vector of values of `obj` for all cycles of the last run.
+    // NOTE: For activities, this is their O state (1 = active, 0 = not).
+    const v = [];
+    for(let t = 0; t <= MODEL.run_length; t++) {
+      if(!MODEL.solved) {
+        v.push(VM.UNDEFINED);
+      } else if(obj instanceof Activity) {
+        const s = obj.state.O[t];
+        v.push(s === undefined ? VM.UNDEFINED : s);
+      } else {
+        v.push(obj.value(t));
+      }
+    }
+    return v;
+  }
+
+  get useClockTime() {
+    return this.time_axis.value === 'clock';
+  }
+
+  timeValues() {
+    // Return the vector of time values for the horizontal axis.
+    const tv = [];
+    for(let t = 0; t <= MODEL.run_length; t++) {
+      if(this.useClockTime) {
+        const ct = MODEL.clock_time[t];
+        tv.push(ct === undefined || VM.specialValue(ct)[0] ? 0 : ct);
+      } else {
+        tv.push(t);
+      }
+    }
+    return tv;
+  }
+
+  updateDialog() {
+    // Display the list of charted variables and draw the chart.
+    // NOTE: Entities may have been deleted from the model.
+    for(let i = this.variables.length - 1; i >= 0; i--) {
+      const v = this.variables[i];
+      if(MODEL.activities[v.identifier] !== v &&
+          MODEL.aspects[v.identifier] !== v) this.variables.splice(i, 1);
+    }
+    if(this.selected_index >= this.variables.length) {
+      this.selected_index = this.variables.length - 1;
+    }
+    if(this.selected_index >= 0) {
+      UI.enableButtons('chart-remove');
+    } else {
+      UI.disableButtons('chart-remove');
+    }
+    if(this.variables.length && MODEL.solved) {
+      UI.enableButtons('chart-copy');
+    } else {
+      UI.disableButtons('chart-copy');
+    }
+    const
+        cc = UI.chart_colors,
+        html = [];
+    for(let i = 0; i < this.variables.length; i++) {
+      const
+          v = this.variables[i],
+          img = (v instanceof Activity ? 'activity' : 'aspect');
+      html.push('<tr class="dataset', (i === this.selected_index ?
+          ' sel-set' : ''), '" onclick="CHART_MANAGER.selectVariable(', i,
+          ');"><td><span class="chart-swatch" style="background-color: ',
+          cc[i % cc.length], '"></span><img class="finder" src="images/',
+          img, '.png">', v.displayName, '</td></tr>');
+    }
+    if(!html.length) {
+      html.push('<tr><td class="chart-hint">Drag activities and aspects ',
+          'from the Finder to this chart</td></tr>');
+    }
+    this.variable_table.innerHTML = html.join('');
+    this.drawChart();
+  }
+
+  drawChart() {
+    // Draw the time series of the charted variables as SVG.
+    const
+        w = this.svg_container.clientWidth,
+        h = this.svg_container.clientHeight,
+        m = this.margin,
+        pw = w - m.left - m.right,
+        ph = h - m.top - m.bottom;
+    if(!this.visible || pw <= 0 || ph <= 0) return;
+    const
+        cc = UI.chart_colors,
+        tv = this.timeValues(),
+        series = [];
+    // Determine the range of the vertical axis.
+    let miny = 0,
+        maxy = 1;
+    for(let i = 0; i < this.variables.length; i++) {
+      const vv = this.values(this.variables[i]);
+      series.push(vv);
+      for(let t = 0; t < vv.length; t++) {
+        if(!VM.specialValue(vv[t])[0]) {
+          miny = Math.min(miny, vv[t]);
+          maxy = Math.max(maxy, vv[t]);
+        }
+      }
+    }
+    const
+        c = {minx: tv[0], maxx: Math.max(tv[tv.length - 1], tv[0] + 1),
+            miny: miny, maxy: maxy, xlabels: [], series: []},
+        // Label the horizontal axis, but not each cycle when the run is
+        // long.
+        step = Math.max(1, Math.ceil(tv.length * 40 / pw));
+    for(let t = 0; t < tv.length; t += step) {
+      c.xlabels.push([tv[t],
+          (this.useClockTime ? UI.clockTime(tv[t], false) : t)]);
+    }
+    // Show the current cycle as a vertical line.
+    if(MODEL.solved && MODEL.t < tv.length) c.cursor = tv[MODEL.t];
+    for(let i = 0; i < series.length; i++) {
+      // NOTE: Activity states change from one cycle to the next, so
+      // these are plotted as a step function.
+      c.series.push({x: tv, y: series[i], color: cc[i % cc.length],
+          width: (i === this.selected_index ? 2.5 : 1.5),
+          steps: this.variables[i] instanceof Activity});
+    }
+    this.svg_container.innerHTML = UI.lineChartSVG(w, h, m, c);
+  }
+
+  get dataAsTSV() {
+    // Return the charted data as tab-separated text, with one row per
+    // cycle of the last run.
+    const
+        num = (n) => UI.tsvNumber(n),
+        series = [],
+        lines = [['Cycle', 'Clock time'].concat(
+            this.variables.map((v) => v.displayName)).join('\t')];
+    for(let i = 0; i < this.variables.length; i++) {
+      series.push(this.values(this.variables[i]));
+    }
+    for(let t = 0; t <= MODEL.run_length; t++) {
+      const
+          ct = MODEL.clock_time[t],
+          row = [t, ct === undefined ? '' : num(ct)];
+      for(let i = 0; i < series.length; i++) row.push(num(series[i][t]));
+      lines.push(row.join('\t'));
+    }
+    return lines.join('\n');
+  }
+
+  copyData() {
+    // Copy the charted data to the clipboard.
+    if(this.variables.length && MODEL.solved) {
+      UI.copyStringToClipboard(this.dataAsTSV);
+    }
+  }
+
+} // END of class ChartManager
@@ -76,9 +76,10 @@ class ModalDialog {
 } // END of class ModalDialog
 
 
-// CLASS Controller implements the diaFRAM GUI
-class Controller {
+// CLASS GUIController implements the diaFRAM GUI
+class GUIController extends Controller {
   constructor() {
+    super();
     this.modals = {};
     this.buttons = {};
     // Default chart colors (12 line colors + 12 matching lighter shades)
@@ -91,48 +92,6 @@ class Controller {
         '#48dbfb', '#ff6b6b', '#576574', '#00d2d3', '#5f27cd',
         '#c86a5b', '#c2c18c'
       ];
-    // SVG stroke dash arrays for line types while drawing charts or arrows
-    this.sda = {
-      dash: '7,3',
-      dot: '2,3',
-      dash_dot: '7,3,2,3',
-      long_dash: '12,3',
-      longer_dash: '15,3', 
-      short_dash: '5,2',
-      shorter_dash: '0.5,2.5',
-      long_dash_dot: '10,3,2,3',
-      even_dash: '6,5',
-      dot_dot: '2,3,2,6'
-    };
-    this.aspect_type = {
-      'C': 'Control',
-      'O': 'Output',
-      'R': 'Resource',
-      'P': 'Precondition',
-      'I': 'Input',
-      'T': 'Time'
-    };
-    // Error messages
-    this.ERROR = {
-        CREATE_FAILED: 'ERROR: failed to create a new SVG element',
-        APPEND_FAILED: 'ERROR: failed to append SVG element to DOM',
-      };
-    this.WARNING = {
-        INVALID_ACTOR_NAME: 'Invalid agent name',
-      };
-    this.NOTICE = {
-        WORK_IN_PROGRESS: 'Planned feature -- work in progress!',
-      };
-    // Strings used to identify special entities
-    this.TOP_ACTIVITY_NAME = '(top-level function)';
-    // Likewise, the "no actor" actor has a standard name
-    this.NO_ACTOR = '(no agent)';
-    // Character to separate object name from attribute in variable names
-    this.OA_SEPARATOR = '|';
-    // Use colon with space to separate prefixes and names of clones
-    this.PREFIXER = ': ';
-    // FROM->TO represented by solid right-pointing arrow with curved shaft.
-    this.LINK_ARROW = '\u219D';
     
     // Identify the type of browser in which diaFRAM is running.
     const
@@ -183,6 +142,9 @@ class Controller {
     this.on_note = null;
     this.on_connector = '';
     this.dragged_node = null;
+    this.on_bend_point = null;
+    this.dragged_bend_point = null;
+    this.bend_point_under_cursor = null;
     this.activity_to_move = null;
     this.dbl_clicked_activity = null;
     this.target_activity = null;
@@ -217,9 +179,11 @@ class Controller {
 
     // Initialize controller buttons.
     this.node_btns = ['activity', 'note'];
-    this.edit_btns = ['clone', 'paste', 'delete', 'undo', 'redo'];
-    this.model_btns = ['settings', 'save', 'savediagram', 'finder',
-        'actors', 'monitor', 'solve'];
+    this.edit_btns = ['clone', 'paste', 'delete', 'arrange', 'undo', 'redo'];
+    this.model_btns = ['settings', 'save', 'savediagram', 'swimlanes',
+        'overview', 'hierarchy', 'finder', 'actors', 'monitor', 'chart',
+        'timeline', 'analysis', 'explain', 'merge', 'experiment',
+        'sensitivity', 'batch', 'solve'];
     this.other_btns = ['new', 'load', 'documentation',
         'parent', 'lift', 'solve', 'stop', 'reset', 'zoomin', 'zoomout',
         'stepback', 'stepforward', 'autosave', 'recall'];
@@ -245,7 +209,8 @@ class Controller {
     // Initialize "main" modals, i.e., those that relate to the controller,
     // not to other dialog objects.
     const main_modals = ['model', 'load', 'settings', 'actors', 'actor',
-        'add-activity', 'add-aspect', 'move', 'note', 'clone', 'expression'];
+        'add-activity', 'add-aspect', 'move', 'note', 'clone', 'expression',
+        'validation'];
     for(let i = 0; i < main_modals.length; i++) {
       this.modals[main_modals[i]] = new ModalDialog(main_modals[i]);
     }
@@ -260,312 +225,6 @@ class Controller {
     this.old_info_line = null;
   }
 
-  pointInViewport(rx, ry) {
-    // Return paper coordinates of the cursor position if the cursor were
-    // located at relative position (rx * window width, ry * window height)
-    // in the browser window.
-    if(this.paper) return this.paper.cursorPosition(
-          window.innerWidth *rx, window.innerHeight *ry);
-    // If no graphics return values for a 100x100 pixel viewport
-    return [100 * rx, 100 * ry];
-  }
-  
-  textSize(string, fsize=8, fweight=400) {
-    // Returns width and height (in px) of (multi-line) string
-    // If paper, use its method, which is more accurate
-    if(this.paper) return this.paper.textSize(string, fsize, fweight);
-    // If no paper, assume 144 px/inch, so 1 pt = 2 px
-    const
-        ch = fsize * 2,
-        cw = fsize;
-    // NOTE: Add '' in case string is a number
-    const lines = ('' + string).split('\n');
-    let w = 0;
-    for(let i = 0; i < lines.length; i++) {
-      w = Math.max(w, lines[i].length * cw);
-    }
-    return {width: w, height: lines.length * ch};
-  }
-
-  stringToLineArray(string, width=100, fsize=8) {
-    // Return an array of strings wrapped to given width at given font
-    // size while preserving newlines -- used to format text of notes.
-    const
-        multi = [],
-        lines = string.split('\n'),
-        ll = lines.length,
-        // If no paper, assume 144 px/inch, so 1 pt = 2 px
-        fh = (this.paper ? this.paper.font_heights[fsize] : 2 * fsize),
-        scalar = fh / 2;
-    for(let i = 0; i < ll; i++) {
-      // NOTE: interpret two spaces as a "non-breaking" space
-      const words = lines[i].replace(/  /g, '\u00A0').trim().split(/ +/);
-      // Split words at '-' when wider than width
-      for(let j = 0; j < words.length; j++) {
-        if(words[j].length * scalar > width) {
-          const sw = words[j].split('-');
-          if(sw.length > 1) {
-            // Replace j-th word by last fragment of split string
-            words[j] = sw.pop();
-            // Insert remaining fragments before
-            while(sw.length > 0) words.splice(j, 0, sw.pop() + '-');
-          }
-        }
-      }
-      let line = words[0] + ' ';
-      for(let j = 1; j < words.length; j++) {
-        const
-            l = line + words[j] + ' ',
-            w = (l.length - 1) * scalar;
-        if (w > width && j > 0) {
-          const
-              nl = line.trim(),
-              nw = Math.floor(nl.length * scalar);
-          multi.push(nl);
-          // If width of added line exceeds the given width, adjust width
-          // so that following lines fill out better
-          width = Math.max(width, nw);
-          line = words[j] + ' ';
-        } else {
-          line = l;
-        }
-      }
-      line = line.trim();
-      // NOTE: Chrome and Safari ignore empty lines in SVG text; as a workaround,
-      // we add a non-breaking space to lines containing only whitespace
-      if(!line) line = '\u00A0';
-      multi.push(line);
-    }
-    return multi;  
-  }
-  
-  sizeInBytes(n) {
-    // Returns `n` as string scaled to the most appropriate unit of bytes
-    n = Math.round(n);
-    if(n < 1024) return n + ' B';
-    let m = -1;
-    while(n >= 1024) {
-      m++;
-      n /= 1024;
-    }
-    return VM.sig2Dig(n) + ' ' + 'kMGTP'.charAt(m) + 'B';
-  }
-  
-  // Shapes are only used to draw model diagrams.
-  
-  createShape(mdl) {
-    if(this.paper) return new Shape(mdl);
-    return null;
-  }
-  
-  moveShapeTo(shape, x, y) {
-    if(shape) shape.moveTo(x, y);
-  }
-  
-  removeShape(shape) {
-    if(shape) shape.removeFromDOM();
-  }
-
-  // Methods to ensure proper naming of entities.
-
-  cleanName(name) {
-    // Returns `name` without the object-attribute separator |, backslashes,
-    // and leading and trailing whitespace, and with all internal whitespace
-    // reduced to a single space.
-    name = name.replace(this.OA_SEPARATOR, ' ')
-        .replace(/\||\\/g, ' ').trim()
-        .replace(/\s\s+/g, ' ');
-    // NOTE: this may still result in a single space, which is not a name
-    if(name === ' ') return '';
-    return name;
-  }
-  
-  validName(name) {
-    // Returns TRUE if `name` is a valid diaFRAM entity name. These names
-    // must not be empty strings, may not contain brackets, backslashes or
-    // vertical bars, may not end with a colon, and must start with an
-    // underscore, a letter or a digit.
-    // These rules are enforced to avoid parsing issues with variable names.
-    // NOTE: normalize to also accept letters with accents
-    if(name === this.TOP_ACTIVITY_NAME) return true;
-    name = name.normalize('NFKD').trim();
-    if(name.startsWith('$')) {
-      const
-          parts = name.substring(1).split(' '),
-          flow = parts.shift(),
-          aid = this.nameToID(parts.join(' ')),
-          a = MODEL.actorByID(aid);
-      return a && ['IN', 'OUT', 'FLOW'].indexOf(flow) >= 0;
-    }
-    return name && !name.match(/\[\\\|\]/) && !name.endsWith(':') &&
-        (name.startsWith(this.BLACK_BOX) || name[0].match(/[\w]/));
-  }
-  
-  prefixesAndName(name, key=false) {
-    // Returns name split exclusively at '[non-space]: [non-space]'
-    let sep = this.PREFIXER,
-        space = ' ';
-    if(key) {
-      sep = ':_';
-      space = '_';
-    }
-    const
-        s = name.split(sep),
-        pan = [s[0]];
-    for(let i = 1; i < s.length; i++) {
-      const j = pan.length - 1;
-      if(s[i].startsWith(space) || (i > 0 && pan[j].endsWith(space))) {
-        pan[j] += s[i];
-      } else {
-        pan.push(s[i]);
-      }
-    }
-    return pan;
-  }
-  
-  completePrefix(name) {
-    // Returns the prefix part (including the final colon plus space),
-    // or the empty string if none.
-    const p = UI.prefixesAndName(name);
-    p[p.length - 1] = '';
-    return p.join(UI.PREFIXER);
-  }
-  
-  sharedPrefix(n1, n2) {
-    const
-        pan1 = this.prefixesAndName(n1),
-        pan2 = this.prefixesAndName(n2),
-        l = Math.min(pan1.length - 1, pan2.length - 1),
-        shared = [];
-    let i = 0;
-    while(i < l && ciCompare(pan1[i], pan2[i]) === 0) {
-      // NOTE: if identical except for case, prefer "Abc" over "aBc" 
-      shared.push(pan1[i] < pan2[i] ? pan1[i] : pan2[i]);
-      i++;
-    }
-    return shared.join(this.PREFIXER);
-  }
-  
-  colonPrefixedName(name, prefix) {
-    // Replaces a leading colon in `name` by `prefix`.
-    // If `name` identifies a link, this is applied to both node names.
-    const nodes = name.split(this.LINK_ARROW);
-    for(let i = 0; i < nodes.length; i++) {
-      nodes[i] = nodes[i].replace(/^:\s*/, prefix)
-          // NOTE: An embedded double prefix, e.g., "xxx: : yyy" indicates
-          // that the second colon+space should be replaced by the prefix.
-          // This "double prefix" may occur only once in an entity name,
-          // hence no global regexp.
-          .replace(/(\w+):\s+:\s+(\w+)/, `$1: ${prefix}$2`);
-    }
-    return nodes.join(this.LINK_ARROW);
-  }
-  
-  tailNumber(name) {
-    // Returns the string of digits at the end of `name`. If not there,
-    // check prefixes (if any) *from right to left* for a tail number.
-    // Thus, the number that is "closest" to the name part is returned.
-    const pan = UI.prefixesAndName(name);
-    let n = endsWithDigits(pan.pop());
-    while(!n && pan.length > 0) {
-      n = endsWithDigits(pan.pop());
-    }
-    return n;
-  }
-  
-  compareFullNames(n1, n2, key=false) {
-    // Compare full names, considering prefixes in *left-to-right* order
-    // while taking into account the tailnumber for each part so that
-    // "xx: yy2: nnn" comes before "xx: yy10: nnn".
-    if(n1 === n2) return 0;
-    if(key) {
-      // NOTE: Replacing link arrows by two prefixers ensures that sort
-      // will be first on FROM node, and then on TO node.
-      const p2 = UI.PREFIXER + UI.PREFIXER;
-      // Keys for links are not based on their names, so look up their
-      // names before comparing.
-      if(n1.indexOf('___') > 0 && MODEL.links[n1]) {
-        n1 = MODEL.links[n1].displayName
-            .replace(UI.LINK_ARROW, p2);
-      }
-      if(n2.indexOf('___') > 0 && MODEL.links[n2]) {
-        n2 = MODEL.links[n2].displayName
-            .replace(UI.LINK_ARROW, p2);
-      }
-      n1 = n1.toLowerCase().replaceAll(' ', '_');
-      n2 = n2.toLowerCase().replaceAll(' ', '_');
-    }
-    const
-        pan1 = UI.prefixesAndName(n1, key),
-        pan2 = UI.prefixesAndName(n2, key),
-        sl = Math.min(pan1.length, pan2.length);
-    let i = 0;
-    while(i < sl) {
-      const c = compareWithTailNumbers(pan1[i], pan2[i]);
-      if(c !== 0) return c;
-      i++;
-    }
-    return pan1.length - pan2.length;
-  }
-  
-  linkIdentifier(from_a, to_a, to_c) {
-    // NOTE: A link ID has THREE underscores between its node IDs.
-    return from_a.code + '___' + circledLetter(to_c) + to_a.code;
-  }
-
-  nameToID(name) {
-    // Return a name in lower case with link arrow replaced by three
-    // underscores, and spaces converted to underscores; in this way,
-    // IDs will always be valid JavaScript object properties.
-    // NOTE: Links are a special case, because their IDs depend on the
-    // *codes* of their nodes.
-    if(name.indexOf(UI.LINK_ARROW) >= 0) {
-      const obj = MODEL.objectByName(name);
-      if(obj) return obj.identifier;
-      // Empty string signals failure.
-      return '';
-    }
-    // NOTE: Replace single quotes by Unicode apostrophe so that they
-    // cannot interfere with JavaScript strings delimited by single quotes.
-    return name.toLowerCase().replace(/\s/g, '_').replace("'", '\u2019');
-  }
-  
-  // Methods to notify modeler
-  
-  notify(msg) {
-    // Notifications are highlighted in blue, and sound a bell chime
-    this.setMessage(msg, 'notification');
-  }
-
-  warn(msg, err=null) {
-    // Warnings are highlighted in yellow, and sound a low beep
-    this.setMessage(msg, 'warning', err);
-  }
-
-  alert(msg, err=null) {
-    // Errors are highlighted in orange, and sound a "bloop" sound
-    this.setMessage(msg, 'error', err);
-  }
-  
-  // Alerts, parametrized warnings and notifications signalled in more than
-  // one part of code
-  
-  warningInvalidName(n) {
-    this.warn(`Invalid name "${n}"`);
-    throw "ERROR";
-  }
-  
-  warningEntityExists(e) {
-    // NOTE: `e` can be NULL when an invalid name was specified when renaming
-    if(e) {
-      let msg = `${e.type} "${e.displayName}" already exists`;
-      if(e.displayName === this.TOP_ACTIVITY_NAME) {
-        msg = 'System names cannot be used as entity name';
-      }
-      this.warn(msg);
-    }
-  }
-  
   coloredResult(r) {
     // Return `r` as blue number, or as red code if exceptional.
     const clr = (Math.abs(r) >= -VM.ERROR ? '#a00000' : '#0000a0');
@@ -626,7 +285,15 @@ class Controller {
     this.buttons.settings.addEventListener('click',
         () => UI.showSettingsDialog(MODEL));
     this.buttons.save.addEventListener('click',
-        () => FILE_MANAGER.saveModel());
+        (event) => {
+          if(event.altKey) {
+            FILE_MANAGER.saveModelAsFMV();
+          } else if(event.shiftKey) {
+            FILE_MANAGER.saveModelAsJSON();
+          } else {
+            FILE_MANAGER.saveModel();
+          }
+        });
     this.buttons.savediagram.addEventListener('click',
         () => FILE_MANAGER.saveDiagramAsSVG(event));
     this.buttons.actors.addEventListener('click',
@@ -635,10 +302,29 @@ class Controller {
     const tdf = (event) => UI.toggleDialog(event);
     this.buttons.finder.addEventListener('click', tdf);
     this.buttons.monitor.addEventListener('click', tdf);
+    this.buttons.chart.addEventListener('click', tdf);
+    this.buttons.timeline.addEventListener('click', tdf);
+    this.buttons.overview.addEventListener('click', tdf);
+    this.buttons.hierarchy.addEventListener('click', tdf);
+    this.buttons.analysis.addEventListener('click', tdf);
+    this.buttons.explain.addEventListener('click', tdf);
+    this.buttons.merge.addEventListener('click', tdf);
+    this.buttons.experiment.addEventListener('click', tdf);
+    this.buttons.sensitivity.addEventListener('click', tdf);
+    this.buttons.batch.addEventListener('click', tdf);
     this.buttons.documentation.addEventListener('click', tdf);
     // Activity hierarchy navigation elements:
+    // NOTE: The focal name is preceded by the names of the ancestors of
+    // the focal activity; clicking on one of these makes it focal.
     this.focal_name.addEventListener('click',
-        () => UI.showActivityPropertiesDialog(MODEL.focal_activity));
+        (event) => {
+          const a = MODEL.activities[event.target.dataset.id];
+          if(a) {
+            UI.makeFocalActivity(a);
+          } else {
+            UI.showActivityPropertiesDialog(MODEL.focal_activity);
+          }
+        });
     this.focal_name.addEventListener('mousemove',
         () => DOCUMENTATION_MANAGER.update(MODEL.focal_activity, true));
     this.buttons.parent.addEventListener('click',
@@ -663,6 +349,10 @@ class Controller {
           MODEL.deleteSelection();
           UI.updateButtons();
         });
+    this.buttons.arrange.addEventListener('click',
+        (event) => UI.arrangeActivities(event.shiftKey));
+    this.buttons.swimlanes.addEventListener('click',
+        () => UI.toggleSwimlanes());
     this.buttons.undo.addEventListener('click',
         () => {
           if(UI.buttons.undo.classList.contains('enab')) {
@@ -723,6 +413,8 @@ class Controller {
         () => UI.modals.load.hide());
     this.modals.load.element('autosaved-btn').addEventListener('click',
         () => AUTO_SAVE.showRestoreDialog());
+    this.modals.validation.ok.addEventListener('click',
+        () => UI.modals.validation.hide());
 
     this.modals.settings.ok.addEventListener('click',
         () => UI.updateSettings(MODEL));
@@ -828,6 +520,12 @@ class Controller {
     this.deep_link_info = '';
   }
   
+  setBendPointUnderCursor(l, index=-1) {
+    // Set bend point under cursor (if any) as link plus index in its list
+    // of bend points.
+    this.bend_point_under_cursor = (l ? {link: l, index: index} : null);
+  }
+  
   showDeepLinksUnderCursor(l) {
     // Show links represented by a thick arrow on the status line.
     const n = l.deep_links.length;
@@ -875,9 +573,29 @@ class Controller {
       const parts = FILE_MANAGER.last_file_name.split('.');
       if(parts.length > 1) parts.pop();
       MODEL.name = parts.join('.');
-      // FRAM Model Visualizer models tend to place nodes too far to the
-      // left of the SVG diagram, so reposition them.
-      this.paper.fitToSize();
+      // FRAM Model Visualizer models may place nodes too far to the
+      // left of the SVG diagram. Only then reposition them, so that the
+      // original layout is preserved as much as possible.
+      const fa = MODEL.focal_activity;
+      let minx = 0,
+          miny = 0;
+      for(let i = 0; i < fa.sub_activities.length; i++) {
+        const a = fa.sub_activities[i];
+        minx = Math.min(minx, a.x - a.width / 2);
+        miny = Math.min(miny, a.y - a.height / 2);
+      }
+      if(minx < 0 || miny < 0) {
+        MODEL.translateGraph(minx < 0 ? 15 - minx : 0,
+            miny < 0 ? 15 - miny : 0);
+      }
+      this.paper.extend();
+      const r = MODEL.fmv_import_report;
+      if(r) {
+        this.notify(`Imported ${pluralS(r.converted.functions, 'function')}` +
+            ` and ${pluralS(r.converted.aspects, 'aspect')}` +
+            (r.unmapped.length ? ` (${pluralS(r.unmapped.length, 'item')}` +
+                ' not converted; see model documentation)' : ''));
+      }
     }
     // Reset the Virtual Machine.
     VM.reset();
@@ -890,14 +608,71 @@ class Controller {
     // Finder dialog is closed, but  may still display results for
     // previous model.
     FINDER.updateDialog();
+    // Report problems that were detected while loading the model.
+    if(loaded) this.showValidationReport();
     // Signal success or failure.
     return loaded;
   }
   
+  showValidationReport() {
+    // Show the problems that were detected while loading the model (if
+    // any) in a table, so that the modeler can view the entities involved.
+    const
+        vi = MODEL.validation_issues,
+        md = this.modals.validation,
+        html = [];
+    if(!vi.length) return;
+    md.element('count').innerText = pluralS(vi.length, 'problem');
+    for(let i = 0; i < vi.length; i++) {
+      const e = vi[i].entity;
+      let img = '',
+          name = '(model)';
+      if(e) {
+        img = `<img class="finder" src="images/${e.type === 'Function' ?
+            'activity' : e.type.toLowerCase()}.png">`;
+        name = e.displayName;
+      }
+      html.push('<tr class="dataset" onclick="UI.revealValidationIssue(', i,
+          ');"><td class="validation-entity">', img, name,
+          '</td><td>', xmlEncoded(vi[i].message), '</td></tr>');
+    }
+    md.element('table').innerHTML = html.join('');
+    md.show();
+  }
+  
+  revealValidationIssue(index) {
+    // Show the diagram that contains the entity of the validation issue
+    // having index `index`, and select this entity.
+    const vi = MODEL.validation_issues[index];
+    if(!vi || !vi.entity) return;
+    this.modals.validation.hide();
+    let obj = vi.entity;
+    if(obj instanceof Aspect) {
+      // Aspects appear on the output links of their parent activity.
+      obj = obj.parent;
+    } else if(obj instanceof Link &&
+        obj.from_activity.parent !== obj.to_activity.parent) {
+      // Links between activities in different diagrams show as deep
+      // links, so then select the FROM activity.
+      obj = obj.from_activity;
+    }
+    if(!obj) return;
+    const pa = (obj instanceof Link ? obj.from_activity.parent : obj.parent);
+    this.makeFocalActivity(pa || obj);
+    if(pa) {
+      MODEL.select(obj);
+      if(obj.shape && obj.shape.element) {
+        this.scrollIntoView(obj.shape.element.childNodes[0]);
+      }
+    }
+    this.updateButtons();
+  }
+  
   makeFocalActivity(a) {
     const fa = MODEL.focal_activity;
     MODEL.focal_activity = a;
     MODEL.clearSelection(false);
+    this.fitToLanes();
     this.paper.drawModel(MODEL);
     this.updateButtons();
     // NOTE: When "moving up" in the activity hierarchy, bring the former
@@ -941,19 +716,97 @@ class Controller {
     }
   }
   
-  clockTime(hrs, secs=true) {
-    // Return real number `hrs` as dd hh:mm:ss where dd is the number of
-    // days, and the seconds :ss are omitted when `secs` is FALSE.
-    const sv = VM.specialValue(hrs);
-    if(sv[0]) return sv[1];
-    return hoursToString(hrs, secs);
+  lineChartSVG(w, h, m, c) {
+    // Return SVG for a line chart of `w` by `h` pixels with margins `m`
+    // (an object with properties left, right, top and bottom) around the
+    // plot area. Chart specification `c` has properties:
+    //   minx, maxx, miny, maxy  the ranges of the axes
+    //   xlabels  list of [x, label] pairs for the horizontal axis
+    //   cursor   X-value where to draw a dashed vertical line (optional)
+    //   series   list of {x, y, color, width, steps, dots} where `x` and
+    //            `y` are lists of coordinates, `steps` indicates that the
+    //            series is plotted as a step function, and `dots` that its
+    //            points are marked
+    // Lines are interrupted by special values.
+    const
+        pw = w - m.left - m.right,
+        ph = h - m.top - m.bottom,
+        xscale = pw / (c.maxx - c.minx),
+        yscale = ph / (c.maxy - c.miny),
+        px = (x) => (m.left + (x - c.minx) * xscale).toFixed(1),
+        py = (y) => (m.top + (c.maxy - y) * yscale).toFixed(1),
+        svg = [`<svg width="${w}" height="${h}" `,
+            'xmlns="http://www.w3.org/2000/svg">',
+            `<rect x="${m.left}" y="${m.top}" width="${pw}" height="${ph}" `,
+            'fill="white" stroke="silver"></rect>'];
+    // Add labels and grid lines for the vertical axis.
+    for(let i = 0; i <= 4; i++) {
+      const
+          y = c.miny + i * (c.maxy - c.miny) / 4,
+          yp = py(y);
+      svg.push(`<line x1="${m.left}" y1="${yp}" x2="${m.left + pw}" `,
+          `y2="${yp}" stroke="#e8e8e8"></line>`,
+          `<text x="${m.left - 4}" y="${yp}" text-anchor="end" `,
+          'dominant-baseline="middle" font-size="9">', VM.sig4Dig(y),
+          '</text>');
+    }
+    for(let i = 0; i < c.xlabels.length; i++) {
+      svg.push(`<text x="${px(c.xlabels[i][0])}" y="${m.top + ph + 14}" `,
+          'text-anchor="middle" font-size="9">', c.xlabels[i][1], '</text>');
+    }
+    if(c.cursor !== undefined) {
+      const x = px(c.cursor);
+      svg.push(`<line x1="${x}" y1="${m.top}" x2="${x}" `,
+          `y2="${m.top + ph}" stroke="#f07000" stroke-dasharray="`,
+          this.sda.dash, '"></line>');
+    }
+    for(let i = 0; i < c.series.length; i++) {
+      const
+          s = c.series[i],
+          lines = [];
+      let pts = [],
+          prev = '';
+      for(let j = 0; j < s.y.length; j++) {
+        if(VM.specialValue(s.y[j])[0]) {
+          if(pts.length) lines.push(pts);
+          pts = [];
+        } else {
+          const
+              x = px(s.x[j]),
+              y = py(s.y[j]);
+          if(s.steps && pts.length) pts.push(x + ',' + prev);
+          pts.push(x + ',' + y);
+          prev = y;
+          if(s.dots) {
+            svg.push(`<circle cx="${x}" cy="${y}" r="2" `,
+                `fill="${s.color}"></circle>`);
+          }
+        }
+      }
+      if(pts.length) lines.push(pts);
+      for(let j = 0; j < lines.length; j++) {
+        svg.push('<polyline fill="none" stroke="', s.color,
+            '" stroke-width="', s.width || 1.5, '" points="',
+            lines[j].join(' '), '"></polyline>');
+      }
+    }
+    svg.push('</svg>');
+    return svg.join('');
   }
-
+  
   updateTimeStep(t=MODEL.t) {
     // Display cycle tick `t` as the current cycle number.
     document.getElementById('step').innerText = t;
     document.getElementById('clock-time').innerHTML =
         this.clockTime(MODEL.simulationTime);
+    // The chart, the timeline and the explanation show the current cycle.
+    if(CHART_MANAGER && CHART_MANAGER.visible) CHART_MANAGER.updateDialog();
+    if(TIMELINE_MANAGER && TIMELINE_MANAGER.visible) {
+      TIMELINE_MANAGER.updateDialog();
+    }
+    if(EXPLANATION_MANAGER && EXPLANATION_MANAGER.visible) {
+      EXPLANATION_MANAGER.updateDialog();
+    }
   }
   
   stopSolving() {
@@ -963,6 +816,7 @@ class Controller {
     this.buttons.stop.classList.add('off');
     // Update the time step on the status bar.
     this.updateTimeStep();
+    this.updateRunDialogs();
   }
   
   readyToSolve() {
@@ -976,6 +830,21 @@ class Controller {
     // Hide Start button and show Stop button.
     UI.buttons.solve.classList.add('off');
     UI.buttons.stop.classList.remove('off');
+    UI.updateRunDialogs();
+  }
+  
+  updateRunDialogs() {
+    // Update the dialogs that run the model repeatedly, as these cannot
+    // start while an interactive run is in progress.
+    BATCH_RUNNER.updateDialog();
+    EXPERIMENT_MANAGER.updateDialog();
+    SENSITIVITY_MANAGER.updateDialog();
+  }
+  
+  pauseSolving() {
+    // Show the Start button so that the modeler can continue the run,
+    // while the Stop button remains visible to abort it.
+    UI.buttons.solve.classList.remove('off');
   }
   
   waitToStop() {
@@ -995,7 +864,9 @@ class Controller {
     this.on_link = null;
     this.on_aspect = null;
     this.on_note = null;
+    this.on_bend_point = null;
     this.dragged_node = null;
+    this.dragged_bend_point = null;
     this.target_activity = null;
     this.linking_aspect = null;
     this.start_sel_x = -1;
@@ -1283,6 +1154,12 @@ class Controller {
             mgr.edit_btn.classList.add('disab');
           }
           UI.drawDiagram(MODEL);
+        } else if(mgr === ANALYSIS_MANAGER) {
+          // Show the chain for the selected activity (if any).
+          mgr.checkSelection();
+          UI.drawDiagram(MODEL);
+        } else if(mgr === EXPLANATION_MANAGER) {
+          mgr.checkSelection();
         }
       }
     } else {
@@ -1295,6 +1172,9 @@ class Controller {
       if(mgr === DOCUMENTATION_MANAGER) {
         mgr.title.innerHTML = 'Documentation';
         UI.drawDiagram(MODEL);
+      } else if(mgr === ANALYSIS_MANAGER) {
+        // Remove the highlighted chain from the diagram.
+        UI.drawDiagram(MODEL);
       }
     }
   }
@@ -1635,8 +1515,10 @@ class Controller {
     // Updates the buttons on the main GUI toolbars
     const
         node_btns = 'activity note ',
-        edit_btns = 'clone paste delete undo redo ',
-        model_btns = 'settings save savediagram finder monitor solve';
+        edit_btns = 'clone paste delete arrange undo redo ',
+        model_btns = 'settings save savediagram swimlanes overview ' +
+            'hierarchy finder monitor chart timeline analysis explain ' +
+            'merge experiment sensitivity batch solve';
     if(MODEL === null) {
       this.disableButtons(node_btns + edit_btns + model_btns);
       return;
@@ -1644,7 +1526,7 @@ class Controller {
     if(MODEL.focal_activity === MODEL.top_activity) {
       this.focal_activity.style.display = 'none';
     } else {
-      this.focal_name.innerHTML = MODEL.focal_activity.displayName;
+      this.focal_name.innerHTML = this.breadcrumbs;
       if(MODEL.selection.length > 0) {
         this.enableButtons('lift');
       } else {
@@ -1653,10 +1535,19 @@ class Controller {
       this.focal_activity.style.display = 'inline-block';
     }
     this.enableButtons(node_btns + model_btns);
+    this.buttons.swimlanes.classList.toggle('stay-activ', MODEL.swimlanes);
     this.active_button = this.stayActiveButton;
     this.disableButtons(edit_btns);
     if(MODEL.selected_aspect) this.enableButtons('delete');
     if(MODEL.selection.length > 0) this.enableButtons('clone delete');
+    if(MODEL.focal_activity.sub_activities.length > 1) {
+      this.enableButtons('arrange');
+    }
+    // The analysis dialog shows the chain for the selected activity.
+    if(ANALYSIS_MANAGER) ANALYSIS_MANAGER.checkSelection();
+    if(EXPLANATION_MANAGER) EXPLANATION_MANAGER.checkSelection();
+    // The hierarchy dialog highlights the focal activity.
+    if(HIERARCHY_MANAGER) HIERARCHY_MANAGER.updateDialog();
     if(this.canPaste) this.enableButtons('paste');
     // Only allow solving when events can occur.
     if(MODEL.hasTargets) this.enableButtons('solve');
@@ -1733,6 +1624,7 @@ class Controller {
     this.on_activity = null;
     this.on_aspect = null;
     this.on_link = null;
+    this.on_bend_point = null;
   }
 
   mouseMove(e) {
@@ -1767,6 +1659,14 @@ class Controller {
     } else if(fa.relatedLinks.indexOf(this.link_under_cursor) >= 0) {
       this.on_link = this.link_under_cursor;
     }
+    // Bend points of a selected link lie on top of this link.
+    // NOTE: Check whether the bend point is still shown, as redrawing may
+    // have removed it without a mouseout event.
+    const bpuc = this.bend_point_under_cursor;
+    if(bpuc && bpuc.link.selected &&
+        bpuc.index < bpuc.link.bend_points.length) {
+      this.on_bend_point = bpuc;
+    }
     for(let i = fa.notes.length-1; i >= 0; i--) {
       const n = fa.notes[i];
       if(n.containsPoint(this.mouse_x, this.mouse_y)) {
@@ -1778,11 +1678,22 @@ class Controller {
       // Draw selecting rectangle in red dotted lines.
       this.paper.dragRectToCursor(this.start_sel_x, this.start_sel_y,
           this.mouse_x, this.mouse_y);
+    } else if(this.dragged_bend_point) {
+      const
+          l = this.dragged_bend_point.link,
+          bp = l.bend_points[this.dragged_bend_point.index];
+      bp.x = this.mouse_x;
+      bp.y = this.mouse_y;
+      this.paper.drawLink(l);
     } else if(this.dragged_node) {
       if(MODEL.selection.length) {
+        // NOTE: In swimlane view, functions remain in their lane, which
+        // may push the lanes below it down.
         MODEL.moveSelection(
             this.mouse_x - this.move_dx - this.dragged_node.x,
-            this.mouse_y - this.move_dy - this.dragged_node.y);
+            MODEL.dyWithinLanes(
+                this.mouse_y - this.move_dy - this.dragged_node.y));
+        if(MODEL.fitToLanes()) this.drawDiagram(MODEL);
       } else {
         this.dragged_node = null;
       }
@@ -1798,6 +1709,7 @@ class Controller {
       cr = 'default';
       this.setMessage(this.deep_link_info);
     }
+    if(this.on_bend_point || this.dragged_bend_point) cr = 'move';
     // When dragging selection that contains an activity, change cursor to
     // indicate that selected activities will be moved into the target.
     if(this.dragged_node) {
@@ -1870,7 +1782,8 @@ class Controller {
     if(!(e.shiftKey ||
         (this.on_activity && MODEL.selection.indexOf(this.on_activity) >= 0) ||
         (this.on_note && MODEL.selection.indexOf(this.on_note) >= 0) ||
-        (this.on_link && MODEL.selection.indexOf(this.on_link) >= 0))) {
+        (this.on_link && MODEL.selection.indexOf(this.on_link) >= 0) ||
+        this.on_bend_point)) {
       MODEL.clearSelection();
       UI.drawDiagram(MODEL);
     }
@@ -1887,6 +1800,8 @@ class Controller {
               md.element('action').innerText = 'Add';
               md.element('name').value = '';
               md.element('actor').value = '';
+              md.element('variability').style.display = 'none';
+              md.dialog.style.height = '';
               md.show('name');
             });
       } else if(obj === 'note') {
@@ -1912,6 +1827,20 @@ class Controller {
       } else if(this.on_note) {
         this.showNotePropertiesDialog(this.on_note);
       }
+    // Cursor on bend point => start moving it.
+    } else if(this.on_bend_point) {
+      const l = this.on_bend_point.link;
+      UNDO_STACK.push('move', [l], true);
+      this.dragged_bend_point = {link: l, index: this.on_bend_point.index};
+    // Cursor on selected link => add a bend point and start moving it.
+    // NOTE: Links that are part of a "deep link" cannot have bend points.
+    } else if(this.on_link && this.on_link.selected &&
+        !this.on_link.visibleNodes.includes(false)) {
+      const l = this.on_link;
+      UNDO_STACK.push('move', [l], true);
+      this.dragged_bend_point = {link: l, added: true,
+          index: l.addBendPoint(this.mouse_x, this.mouse_y)};
+      this.paper.drawLink(l);
     // NOTE: First check links -- see mouseMove() for motivation.
     } else if(this.on_link) {
       MODEL.select(this.on_link);
@@ -1934,7 +1863,10 @@ class Controller {
         MODEL.select(this.on_activity);
       }
       // Pass dragged activity for UNDO.
-      UNDO_STACK.push('move', this.dragged_node, true);
+      // NOTE: In swimlane view, moving functions may move the lanes below
+      // them, so then the layout of the entire diagram is stored.
+      UNDO_STACK.push('move', (MODEL.swimlanes ?
+          MODEL.focalLayoutNodes : this.dragged_node), true);
     } else { 
       MODEL.deselectAspect();
       this.dragged_node = null;
@@ -1993,13 +1925,43 @@ class Controller {
       this.start_sel_y = -1;
       this.paper.hideDragRect();
     
+    // Then check whether the user is moving a bend point.
+    } else if(this.dragged_bend_point) {
+      const
+          dbp = this.dragged_bend_point,
+          l = dbp.link,
+          moved = this.mouse_down_x !== this.mouse_up_x ||
+              this.mouse_down_y !== this.mouse_up_y;
+      if(moved) {
+        if(MODEL.align_to_grid) {
+          const
+              bp = l.bend_points[dbp.index],
+              gr = MODEL.grid_pixels;
+          bp.x = Math.round(bp.x / gr) * gr;
+          bp.y = Math.round(bp.y / gr) * gr;
+        }
+      } else if(d_click && !dbp.added) {
+        // Double-clicking a bend point deletes it.
+        l.bend_points.splice(dbp.index, 1);
+        this.bend_point_under_cursor = null;
+      } else {
+        // No move => no change, so remove the move undo.
+        if(dbp.added) l.bend_points.splice(dbp.index, 1);
+        UNDO_STACK.pop('move');
+        // Double-clicking a link still opens its aspect dialog.
+        if(d_click && dbp.added) this.showAddAspectDialog(l);
+      }
+      this.dragged_bend_point = null;
+      this.paper.drawLink(l);
+    
     // Then check whether the user is moving a node (possibly part of a
     // larger selection).
     } else if(this.dragged_node) {
       // Always perform the move operation (this will do nothing if the
       // cursor did not move).
-      MODEL.moveSelection(
-          this.mouse_up_x - this.mouse_x, this.mouse_up_y - this.mouse_y);
+      MODEL.moveSelection(this.mouse_up_x - this.mouse_x,
+          MODEL.dyWithinLanes(this.mouse_up_y - this.mouse_y));
+      if(MODEL.fitToLanes()) this.drawDiagram(MODEL);
       // Set cursor to pointer, as it should be on some node while dragging.
       this.paper.container.style.cursor = 'pointer';
       // NOTE: Cursor will always be over the selected activity
@@ -2279,7 +2241,7 @@ class Controller {
         inp = document.getElementById(id),
         txt = inp.value.trim().replace(',', '.');
     // NOTE: for some fields, empty strings denote default values, typically 0
-    if(txt === '' && ['some field'].indexOf(name) >= 0) return 0;
+    if(txt === '' && ['random seed'].indexOf(name) >= 0) return 0;
     const n = parseFloat(txt);
     // NOTE: any valid number ends with a digit (e.g., 100, 100.0, 1E+2),
     // but parseFloat is more tolerant; however, diaFRAM should not accept
@@ -2296,6 +2258,22 @@ class Controller {
   // Navigation in the activity hierarchy.
   //
   
+  get breadcrumbs() {
+    // Return HTML for the path from the top activity to the focal activity,
+    // where each ancestor can be clicked.
+    const
+        fa = MODEL.focal_activity,
+        html = [fa.displayName];
+    let a = fa.parent;
+    while(a) {
+      html.unshift(`<span class="crumb" data-id="${a.identifier}" ` +
+          `title="${safeDoubleQuotes(a.displayName)}">` +
+          `${ellipsedText(a.displayName, 16, 6)}</span>`);
+      a = a.parent;
+    }
+    return html.join('<span class="crumb-sep"> \u25B8 </span>');
+  }
+  
   showParentActivity() {
     if(MODEL.focal_activity.parent) {
       this.makeFocalActivity(MODEL.focal_activity.parent);
@@ -2310,6 +2288,70 @@ class Controller {
     }
   }
 
+  arrangeActivities(selection_only=false) {
+    // Arrange the sub-activities of the focal activity (or only those that
+    // are selected) in layers following the trigger sequence.
+    if(this.buttons.arrange.classList.contains('disab')) return;
+    const acts = (selection_only ?
+        MODEL.selection.filter((n) => n instanceof Activity) :
+        MODEL.focal_activity.sub_activities.slice());
+    if(acts.length < 2) {
+      this.notify('Select at least two functions to arrange');
+      return;
+    }
+    // NOTE: Push the edit *before* arranging, so that the undo stack
+    // saves the positions as they were, also of the bend points of links
+    // between the arranged activities.
+    const routed = MODEL.focal_activity.visibleLinks.filter(
+        (l) => l.bend_points.length && acts.indexOf(l.from_activity) >= 0 &&
+            acts.indexOf(l.to_activity) >= 0);
+    UNDO_STACK.push('move', acts.concat(routed));
+    if(MODEL.arrangeActivities(acts)) {
+      this.drawDiagram(MODEL);
+      this.notify('Arranged ' + pluralS(acts.length, 'function'));
+    } else {
+      UNDO_STACK.pop('move');
+    }
+    this.updateButtons();
+  }
+
+  toggleSwimlanes() {
+    // Switch the diagram between normal view and swimlane view. Switching
+    // to swimlanes arranges the functions in the focal diagram so that each
+    // is placed in the lane of its actor, and switching back restores the
+    // layout of all diagrams as it was in normal view. Both can be undone.
+    // NOTE: The lanes of other diagrams are fitted when these become focal
+    // (see method `fitToLanes`).
+    if(MODEL.swimlanes) {
+      const nl = MODEL.normal_layout || [];
+      UNDO_STACK.push('swimlanes',
+          nl.map((p) => MODEL.objectByID(p[0])).filter((n) => n));
+      MODEL.setLayout(nl);
+      MODEL.setSwimlanes(false);
+    } else {
+      const nodes = MODEL.layoutNodes;
+      UNDO_STACK.push('swimlanes', nodes);
+      MODEL.setSwimlanes(true, MODEL.layoutOf(nodes));
+      const sa = MODEL.focal_activity.sub_activities;
+      if(sa.length > 1) MODEL.arrangeActivities(sa.slice());
+      MODEL.fitToLanes();
+    }
+    this.drawDiagram(MODEL);
+    this.updateButtons();
+  }
+  
+  fitToLanes() {
+    // In swimlane view, move the lanes of the focal diagram down as far as
+    // needed to keep the functions of each lane below the lane above it.
+    // This can be undone.
+    // NOTE: This is needed when functions are added, pasted or assigned to
+    // another actor, and when another diagram becomes focal.
+    if(MODEL.fitToLanes(false)) {
+      UNDO_STACK.push('move', MODEL.focalLayoutNodes);
+      MODEL.fitToLanes();
+    }
+  }
+
   //
   // Moving backwards and forwards in time.
   //
@@ -2484,6 +2526,36 @@ class Controller {
     MONITOR.dialog.style.display = 'none';
     this.buttons.monitor.classList.remove('stay-activ');
     MONITOR.reset();
+    CHART_MANAGER.dialog.style.display = 'none';
+    this.buttons.chart.classList.remove('stay-activ');
+    CHART_MANAGER.reset();
+    TIMELINE_MANAGER.dialog.style.display = 'none';
+    this.buttons.timeline.classList.remove('stay-activ');
+    TIMELINE_MANAGER.reset();
+    OVERVIEW_MANAGER.dialog.style.display = 'none';
+    this.buttons.overview.classList.remove('stay-activ');
+    OVERVIEW_MANAGER.reset();
+    HIERARCHY_MANAGER.dialog.style.display = 'none';
+    this.buttons.hierarchy.classList.remove('stay-activ');
+    HIERARCHY_MANAGER.reset();
+    ANALYSIS_MANAGER.dialog.style.display = 'none';
+    this.buttons.analysis.classList.remove('stay-activ');
+    ANALYSIS_MANAGER.reset();
+    EXPLANATION_MANAGER.dialog.style.display = 'none';
+    this.buttons.explain.classList.remove('stay-activ');
+    EXPLANATION_MANAGER.reset();
+    MERGE_MANAGER.dialog.style.display = 'none';
+    this.buttons.merge.classList.remove('stay-activ');
+    MERGE_MANAGER.reset();
+    EXPERIMENT_MANAGER.dialog.style.display = 'none';
+    this.buttons.experiment.classList.remove('stay-activ');
+    EXPERIMENT_MANAGER.reset();
+    SENSITIVITY_MANAGER.dialog.style.display = 'none';
+    this.buttons.sensitivity.classList.remove('stay-activ');
+    SENSITIVITY_MANAGER.reset();
+    BATCH_RUNNER.dialog.style.display = 'none';
+    this.buttons.batch.classList.remove('stay-activ');
+    BATCH_RUNNER.reset();
     // No more visible dialogs, so clear their z-index ordering array
     this.dr_dialog_order.length = 0;
   }
@@ -2570,6 +2642,7 @@ class Controller {
     }
     if(n) {
       md.hide();
+      if(n instanceof Activity) this.fitToLanes();
       // Select the newly added entity.
       // NOTE: If the focal activity was selected (via the top tool bar),
       // it cannot be selected.
@@ -3069,6 +3142,7 @@ console.log('HERE name conflicts', name_conflicts, mapping);
           obj = MODEL.objectByName(mappedName(n));
       if(obj) MODEL.select(obj);
     }
+    this.fitToLanes();
     UI.drawDiagram(MODEL);
     this.paste_modal.hide();
   }
@@ -3085,7 +3159,9 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     md.element('author').value = model.author;
     md.element('grid-pixels').value = model.grid_pixels;
     md.element('cycles').value = model.run_length;
+    md.element('seed').value = (model.random_seed || '');
     this.setBox('settings-align-to-grid', model.align_to_grid);
+    this.setBox('settings-event-driven', model.event_driven);
     md.show('name');
   }
   
@@ -3096,6 +3172,14 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     if(px === false) return false;
     const rl = this.validNumericInput('settings-cycles', 'run length');
     if(rl === false) return false;
+    // NOTE: A blank random seed is valid, and means "no seed".
+    const rs = this.validNumericInput('settings-seed', 'random seed');
+    if(rs === false) return false;
+    if(rs < 0 || rs > 4294967295 || rs !== Math.floor(rs)) {
+      this.warn('Random seed must be an integer between 0 and 4294967295');
+      md.element('seed').focus();
+      return false;
+    }
     model.name = md.element('name').value.trim();
     // Display model name in browser unless blank
     document.title = model.name || 'diaFRAM';
@@ -3106,6 +3190,9 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     model.align_to_grid = cb;
     model.grid_pixels = Math.floor(px);
     model.run_length = Math.max(1, Math.floor(rl));
+    model.random_seed = rs;
+    // NOTE: The simulation mode does not affect the results.
+    model.event_driven = UI.boxChecked('settings-event-driven');
     // Close the dialog.
     md.hide();
     // Ensure that model documentation can no longer be edited.
@@ -3138,6 +3225,11 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     md.element('action').innerText = 'Edit';
     md.element('name').value = a.name;
     md.element('actor').value = (a.hasActor ? a.actor.name : '');
+    md.element('timing').value = a.output_variability.timing.text;
+    md.element('precision').value = a.output_variability.precision.text;
+    md.element('duration').value = a.duration.text;
+    md.element('variability').style.display = '';
+    md.dialog.style.height = '142px';
     md.show('name');
     this.edited_object = a;
   }
@@ -3147,7 +3239,25 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     // @@TO DO: prepare for undo
     const
         md = this.modals['add-activity'],
-        act = this.edited_object;
+        act = this.edited_object,
+        ov = act.output_variability,
+        // NOTE: The duration expression is validated in the same way.
+        ox = {timing: ov.timing, precision: ov.precision,
+            duration: act.duration},
+        vx = {};
+    // First check whether the output variability expressions are valid.
+    for(let k in ox) if(ox.hasOwnProperty(k)) {
+      const
+          inp = md.element(k),
+          xp = new ExpressionParser(
+              monoSpacedVariables(inp.value.trim()), act, 'CRPIT');
+      if(xp.error) {
+        this.warn(`Invalid ${k} expression: ${xp.error}`);
+        inp.focus();
+        return false;
+      }
+      vx[k] = xp.expr;
+    }
     // Rename object if name and/or actor have changed
     let nn = md.element('name').value.trim(),
         na = md.element('actor').value.trim(),
@@ -3157,8 +3267,24 @@ console.log('HERE name conflicts', name_conflicts, mapping);
       this.warningEntityExists(nact);
       return false;
     }
+    // Changing the output variability or duration invalidates model
+    // results.
+    let reset = false;
+    for(let k in vx) if(vx.hasOwnProperty(k)) {
+      if(ox[k].text !== vx[k]) {
+        ox[k].text = vx[k];
+        reset = true;
+      }
+    }
+    if(reset) this.resetModel();
     // Redraw the shape, as its appearance may have changed.
-    UI.paper.drawActivity(act);
+    // NOTE: In swimlane view, the activity may now be in another lane.
+    if(MODEL.swimlanes) {
+      this.fitToLanes();
+      this.drawDiagram(MODEL);
+    } else {
+      UI.paper.drawActivity(act);
+    }
     if(act === MODEL.focal_activity) {
       this.focal_name.innerHTML = act.displayName;
     }
@@ -3275,5 +3401,5 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     X_EDIT.editExpression(a, c);
   }
   
-} // END of class Controller
+} // END of class GUIController
 
@@ -0,0 +1,482 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-ctrl.js) defines the base classes for the
+controller and the monitor. These do not depend on the browser DOM, so
+that the diaFRAM model and virtual machine can also run "headless", e.g.,
+under Node.js. The GUI subclasses (GUIController and GUIMonitor) extend
+them with the functionality that requires a browser.
+*/
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS Controller provides the properties and methods of the diaFRAM
+// user interface that are needed by the model and the virtual machine.
+// Methods that relate to the GUI are "dummies" that do nothing, so
+// this class can serve as the no-op UI adapter when running headless.
+class Controller {
+  constructor() {
+    // SVG stroke dash arrays for line types while drawing charts or arrows
+    this.sda = {
+      dash: '7,3',
+      dot: '2,3',
+      dash_dot: '7,3,2,3',
+      long_dash: '12,3',
+      longer_dash: '15,3', 
+      short_dash: '5,2',
+      shorter_dash: '0.5,2.5',
+      long_dash_dot: '10,3,2,3',
+      even_dash: '6,5',
+      dot_dot: '2,3,2,6'
+    };
+    this.aspect_type = {
+      'C': 'Control',
+      'O': 'Output',
+      'R': 'Resource',
+      'P': 'Precondition',
+      'I': 'Input',
+      'T': 'Time'
+    };
+    // Error messages
+    this.ERROR = {
+        CREATE_FAILED: 'ERROR: failed to create a new SVG element',
+        APPEND_FAILED: 'ERROR: failed to append SVG element to DOM',
+      };
+    this.WARNING = {
+        INVALID_ACTOR_NAME: 'Invalid agent name',
+      };
+    this.NOTICE = {
+        WORK_IN_PROGRESS: 'Planned feature -- work in progress!',
+      };
+    // Strings used to identify special entities
+    this.TOP_ACTIVITY_NAME = '(top-level function)';
+    // Likewise, the "no actor" actor has a standard name
+    this.NO_ACTOR = '(no agent)';
+    // Character to separate object name from attribute in variable names
+    this.OA_SEPARATOR = '|';
+    // Use colon with space to separate prefixes and names of clones
+    this.PREFIXER = ': ';
+    // FROM->TO represented by solid right-pointing arrow with curved shaft.
+    this.LINK_ARROW = '\u219D';
+    // In swimlane view, lanes extend this many pixels beyond their
+    // functions, so functions in adjacent lanes are twice as far apart.
+    this.LANE_MARGIN = 20;
+    // Headless controllers have no paper to draw the diagram on.
+    this.paper = null;
+    // Properties that are inspected by model methods.
+    this.dragged_node = null;
+    this.aspect_ddl_id = '';
+  }
+
+  pointInViewport(rx, ry) {
+    // Return paper coordinates of the cursor position if the cursor were
+    // located at relative position (rx * window width, ry * window height)
+    // in the browser window.
+    if(this.paper) return this.paper.cursorPosition(
+          window.innerWidth *rx, window.innerHeight *ry);
+    // If no graphics return values for a 100x100 pixel viewport
+    return [100 * rx, 100 * ry];
+  }
+  
+  textSize(string, fsize=8, fweight=400) {
+    // Returns width and height (in px) of (multi-line) string
+    // If paper, use its method, which is more accurate
+    if(this.paper) return this.paper.textSize(string, fsize, fweight);
+    // If no paper, assume 144 px/inch, so 1 pt = 2 px
+    const
+        ch = fsize * 2,
+        cw = fsize;
+    // NOTE: Add '' in case string is a number
+    const lines = ('' + string).split('\n');
+    let w = 0;
+    for(let i = 0; i < lines.length; i++) {
+      w = Math.max(w, lines[i].length * cw);
+    }
+    return {width: w, height: lines.length * ch};
+  }
+
+  stringToLineArray(string, width=100, fsize=8) {
+    // Return an array of strings wrapped to given width at given font
+    // size while preserving newlines -- used to format text of notes.
+    const
+        multi = [],
+        lines = string.split('\n'),
+        ll = lines.length,
+        // If no paper, assume 144 px/inch, so 1 pt = 2 px
+        fh = (this.paper ? this.paper.font_heights[fsize] : 2 * fsize),
+        scalar = fh / 2;
+    for(let i = 0; i < ll; i++) {
+      // NOTE: interpret two spaces as a "non-breaking" space
+      const words = lines[i].replace(/  /g, '\u00A0').trim().split(/ +/);
+      // Split words at '-' when wider than width
+      for(let j = 0; j < words.length; j++) {
+        if(words[j].length * scalar > width) {
+          const sw = words[j].split('-');
+          if(sw.length > 1) {
+            // Replace j-th word by last fragment of split string
+            words[j] = sw.pop();
+            // Insert remaining fragments before
+            while(sw.length > 0) words.splice(j, 0, sw.pop() + '-');
+          }
+        }
+      }
+      let line = words[0] + ' ';
+      for(let j = 1; j < words.length; j++) {
+        const
+            l = line + words[j] + ' ',
+            w = (l.length - 1) * scalar;
+        if (w > width && j > 0) {
+          const
+              nl = line.trim(),
+              nw = Math.floor(nl.length * scalar);
+          multi.push(nl);
+          // If width of added line exceeds the given width, adjust width
+          // so that following lines fill out better
+          width = Math.max(width, nw);
+          line = words[j] + ' ';
+        } else {
+          line = l;
+        }
+      }
+      line = line.trim();
+      // NOTE: Chrome and Safari ignore empty lines in SVG text; as a workaround,
+      // we add a non-breaking space to lines containing only whitespace
+      if(!line) line = '\u00A0';
+      multi.push(line);
+    }
+    return multi;  
+  }
+  
+  sizeInBytes(n) {
+    // Returns `n` as string scaled to the most appropriate unit of bytes
+    n = Math.round(n);
+    if(n < 1024) return n + ' B';
+    let m = -1;
+    while(n >= 1024) {
+      m++;
+      n /= 1024;
+    }
+    return VM.sig2Dig(n) + ' ' + 'kMGTP'.charAt(m) + 'B';
+  }
+  
+  // Shapes are only used to draw model diagrams.
+  
+  createShape(mdl) {
+    if(this.paper) return new Shape(mdl);
+    return null;
+  }
+  
+  moveShapeTo(shape, x, y) {
+    if(shape) shape.moveTo(x, y);
+  }
+  
+  removeShape(shape) {
+    if(shape) shape.removeFromDOM();
+  }
+
+  // Methods to ensure proper naming of entities.
+
+  cleanName(name) {
+    // Returns `name` without the object-attribute separator |, backslashes,
+    // and leading and trailing whitespace, and with all internal whitespace
+    // reduced to a single space.
+    name = name.replace(this.OA_SEPARATOR, ' ')
+        .replace(/\||\\/g, ' ').trim()
+        .replace(/\s\s+/g, ' ');
+    // NOTE: this may still result in a single space, which is not a name
+    if(name === ' ') return '';
+    return name;
+  }
+  
+  validName(name) {
+    // Returns TRUE if `name` is a valid diaFRAM entity name. These names
+    // must not be empty strings, may not contain brackets, backslashes or
+    // vertical bars, may not end with a colon, and must start with an
+    // underscore, a letter or a digit.
+    // These rules are enforced to avoid parsing issues with variable names.
+    // NOTE: normalize to also accept letters with accents
+    if(name === this.TOP_ACTIVITY_NAME) return true;
+    name = name.normalize('NFKD').trim();
+    if(name.startsWith('$')) {
+      const
+          parts = name.substring(1).split(' '),
+          flow = parts.shift(),
+          aid = this.nameToID(parts.join(' ')),
+          a = MODEL.actorByID(aid);
+      return a && ['IN', 'OUT', 'FLOW'].indexOf(flow) >= 0;
+    }
+    return name && !name.match(/\[\\\|\]/) && !name.endsWith(':') &&
+        (name.startsWith(this.BLACK_BOX) || name[0].match(/[\w]/));
+  }
+  
+  prefixesAndName(name, key=false) {
+    // Returns name split exclusively at '[non-space]: [non-space]'
+    let sep = this.PREFIXER,
+        space = ' ';
+    if(key) {
+      sep = ':_';
+      space = '_';
+    }
+    const
+        s = name.split(sep),
+        pan = [s[0]];
+    for(let i = 1; i < s.length; i++) {
+      const j = pan.length - 1;
+      if(s[i].startsWith(space) || (i > 0 && pan[j].endsWith(space))) {
+        pan[j] += s[i];
+      } else {
+        pan.push(s[i]);
+      }
+    }
+    return pan;
+  }
+  
+  completePrefix(name) {
+    // Returns the prefix part (including the final colon plus space),
+    // or the empty string if none.
+    const p = UI.prefixesAndName(name);
+    p[p.length - 1] = '';
+    return p.join(UI.PREFIXER);
+  }
+  
+  sharedPrefix(n1, n2) {
+    const
+        pan1 = this.prefixesAndName(n1),
+        pan2 = this.prefixesAndName(n2),
+        l = Math.min(pan1.length - 1, pan2.length - 1),
+        shared = [];
+    let i = 0;
+    while(i < l && ciCompare(pan1[i], pan2[i]) === 0) {
+      // NOTE: if identical except for case, prefer "Abc" over "aBc" 
+      shared.push(pan1[i] < pan2[i] ? pan1[i] : pan2[i]);
+      i++;
+    }
+    return shared.join(this.PREFIXER);
+  }
+  
+  colonPrefixedName(name, prefix) {
+    // Replaces a leading colon in `name` by `prefix`.
+    // If `name` identifies a link, this is applied to both node names.
+    const nodes = name.split(this.LINK_ARROW);
+    for(let i = 0; i < nodes.length; i++) {
+      nodes[i] = nodes[i].replace(/^:\s*/, prefix)
+          // NOTE: An embedded double prefix, e.g., "xxx: : yyy" indicates
+          // that the second colon+space should be replaced by the prefix.
+          // This "double prefix" may occur only once in an entity name,
+          // hence no global regexp.
+          .replace(/(\w+):\s+:\s+(\w+)/, `$1: ${prefix}$2`);
+    }
+    return nodes.join(this.LINK_ARROW);
+  }
+  
+  tailNumber(name) {
+    // Returns the string of digits at the end of `name`. If not there,
+    // check prefixes (if any) *from right to left* for a tail number.
+    // Thus, the number that is "closest" to the name part is returned.
+    const pan = UI.prefixesAndName(name);
+    let n = endsWithDigits(pan.pop());
+    while(!n && pan.length > 0) {
+      n = endsWithDigits(pan.pop());
+    }
+    return n;
+  }
+  
+  compareFullNames(n1, n2, key=false) {
+    // Compare full names, considering prefixes in *left-to-right* order
+    // while taking into account the tailnumber for each part so that
+    // "xx: yy2: nnn" comes before "xx: yy10: nnn".
+    if(n1 === n2) return 0;
+    if(key) {
+      // NOTE: Replacing link arrows by two prefixers ensures that sort
+      // will be first on FROM node, and then on TO node.
+      const p2 = UI.PREFIXER + UI.PREFIXER;
+      // Keys for links are not based on their names, so look up their
+      // names before comparing.
+      if(n1.indexOf('___') > 0 && MODEL.links[n1]) {
+        n1 = MODEL.links[n1].displayName
+            .replace(UI.LINK_ARROW, p2);
+      }
+      if(n2.indexOf('___') > 0 && MODEL.links[n2]) {
+        n2 = MODEL.links[n2].displayName
+            .replace(UI.LINK_ARROW, p2);
+      }
+      n1 = n1.toLowerCase().replaceAll(' ', '_');
+      n2 = n2.toLowerCase().replaceAll(' ', '_');
+    }
+    const
+        pan1 = UI.prefixesAndName(n1, key),
+        pan2 = UI.prefixesAndName(n2, key),
+        sl = Math.min(pan1.length, pan2.length);
+    let i = 0;
+    while(i < sl) {
+      const c = compareWithTailNumbers(pan1[i], pan2[i]);
+      if(c !== 0) return c;
+      i++;
+    }
+    return pan1.length - pan2.length;
+  }
+  
+  linkIdentifier(from_a, to_a, to_c) {
+    // NOTE: A link ID has THREE underscores between its node IDs.
+    return from_a.code + '___' + circledLetter(to_c) + to_a.code;
+  }
+
+  nameToID(name) {
+    // Return a name in lower case with link arrow replaced by three
+    // underscores, and spaces converted to underscores; in this way,
+    // IDs will always be valid JavaScript object properties.
+    // NOTE: Links are a special case, because their IDs depend on the
+    // *codes* of their nodes.
+    if(name.indexOf(UI.LINK_ARROW) >= 0) {
+      const obj = MODEL.objectByName(name);
+      if(obj) return obj.identifier;
+      // Empty string signals failure.
+      return '';
+    }
+    // NOTE: Replace single quotes by Unicode apostrophe so that they
+    // cannot interfere with JavaScript strings delimited by single quotes.
+    return name.toLowerCase().replace(/\s/g, '_').replace("'", '\u2019');
+  }
+  
+  // Methods to notify modeler
+  
+  notify(msg) {
+    // Notifications are highlighted in blue, and sound a bell chime
+    this.setMessage(msg, 'notification');
+  }
+
+  warn(msg, err=null) {
+    // Warnings are highlighted in yellow, and sound a low beep
+    this.setMessage(msg, 'warning', err);
+  }
+
+  alert(msg, err=null) {
+    // Errors are highlighted in orange, and sound a "bloop" sound
+    this.setMessage(msg, 'error', err);
+  }
+  
+  // Alerts, parametrized warnings and notifications signalled in more than
+  // one part of code
+  
+  warningInvalidName(n) {
+    this.warn(`Invalid name "${n}"`);
+    throw "ERROR";
+  }
+  
+  warningEntityExists(e) {
+    // NOTE: `e` can be NULL when an invalid name was specified when renaming
+    if(e) {
+      let msg = `${e.type} "${e.displayName}" already exists`;
+      if(e.displayName === this.TOP_ACTIVITY_NAME) {
+        msg = 'System names cannot be used as entity name';
+      }
+      this.warn(msg);
+    }
+  }
+
+  setMessage(msg, type=null, cause='') {
+    // Headless controllers can only log messages on the console.
+    // NOTE: Log to stderr, as stdout may carry results (JSON, CSV).
+    // NOTE: Strip HTML tags from the message text.
+    msg = msg.replace(/<[^>]*>?/gm, '');
+    if(type) {
+      const logtype = type.toUpperCase() + ':';
+      if(!msg.startsWith(logtype)) msg = `${logtype} ${msg}`;
+    }
+    console.error(msg);
+    if(cause) console.error('Cause:', cause);
+  }
+
+  clockTime(hrs, secs=true) {
+    // Return real number `hrs` as dd hh:mm:ss where dd is the number of
+    // days, and the seconds :ss are omitted when `secs` is FALSE.
+    const sv = VM.specialValue(hrs);
+    if(sv[0]) return sv[1];
+    return hoursToString(hrs, secs);
+  }
+
+  tsvNumber(n) {
+    // Return number `n` as string for tab-separated data, with special
+    // values as symbols, and a decimal comma if so configured.
+    const sv = VM.specialValue(n);
+    if(sv[0]) return sv[1];
+    const s = n.toString();
+    return (CONFIGURATION.decimal_comma ? s.replace('.', ',') : s);
+  }
+
+  // NOTE: The methods below relate to the GUI, and hence do nothing
+  // when running headless.
+  
+  drawDiagram() {}
+  drawSelection() {}
+  drawObject() {}
+  updateButtons() {}
+  updateIssuePanel() {}
+  updateTimeStep() {}
+  updateControllerDialogs() {}
+  setProgressNeedle() {}
+  waitingCursor() {}
+  normalCursor() {}
+  stopSolving() {}
+  readyToSolve() {}
+  startSolving() {}
+  pauseSolving() {}
+  waitToStop() {}
+  readyToReset() {}
+
+} // END of class Controller
+
+
+// CLASS Monitor provides the base functionality of the Virtual Machine
+// monitor. When running headless, it only logs errors on the console.
+class Monitor {
+  constructor() {
+    this.console = true;
+    this.visible = false;
+    // The "shown" flag is used to prevent re-display of the call stack.
+    this.call_stack_shown = false;
+  }
+  
+  reset() {
+    this.shown_tick = 0;
+    this.last_message_tick = 0;
+    this.call_stack_shown = false;
+  }
+
+  showCallStack(t) {
+    // Log the call stack on the console, but only once per run.
+    if(this.call_stack_shown) return;
+    VM.logCallStack(t);
+    this.call_stack_shown = true;
+  }
+
+  // NOTE: The methods below relate to the GUI, and hence do nothing
+  // when running headless.
+
+  updateMonitorTime() {}
+  updateTickNumber() {}
+  updateDialog() {}
+  hideCallStack() {}
+
+} // END of class Monitor
@@ -0,0 +1,371 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-experiment-manager.js) provides the GUI for
+defining "what if" scenarios that override expressions of aspects and
+incoming expressions of functions, and for running these scenarios as an
+experiment: the draggable/resizable dialog that lists the scenarios and
+their overrides, and that compares the activation counts per function of
+each scenario with those of the baseline (the model as is).
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ExperimentManager provides the experiment dialog functionality
+class ExperimentManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('experiment');
+    UI.resizableDialog('experiment', 'EXPERIMENT_MANAGER');
+    this.close_btn = document.getElementById('experiment-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.status = document.getElementById('experiment-status');
+    this.scenario_table = document.getElementById('experiment-scenarios');
+    this.override_table = document.getElementById('experiment-overrides');
+    this.results_table = document.getElementById('experiment-results');
+    document.getElementById('experiment-add-btn').addEventListener(
+        'click', () => EXPERIMENT_MANAGER.showScenarioModal(true));
+    document.getElementById('experiment-edit-btn').addEventListener(
+        'click', () => EXPERIMENT_MANAGER.showScenarioModal(false));
+    document.getElementById('experiment-delete-btn').addEventListener(
+        'click', () => EXPERIMENT_MANAGER.deleteScenario());
+    document.getElementById('experiment-run-btn').addEventListener(
+        'click', () => EXPERIMENT_MANAGER.run());
+    // Aspects and functions can be dragged from the Finder to the
+    // selected scenario to override their expressions.
+    this.dialog.addEventListener(
+        'dragover', (event) => EXPERIMENT_MANAGER.dragOver(event));
+    this.dialog.addEventListener(
+        'drop', (event) => EXPERIMENT_MANAGER.drop(event));
+    // Modal related to this dialog
+    this.scenario_modal = new ModalDialog('scenario');
+    this.scenario_modal.ok.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.saveScenario());
+    this.scenario_modal.cancel.addEventListener(
+        'click', () => EXPERIMENT_MANAGER.scenario_modal.hide());
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.selected_index = -1;
+    this.adding = false;
+    this.experiment = null;
+    this.running = false;
+    this.updateDialog();
+  }
+
+  get selectedScenario() {
+    if(this.selected_index < 0) return null;
+    return MODEL.scenarios[this.selected_index] || null;
+  }
+
+  selectScenario(index) {
+    this.selected_index = index;
+    this.updateDialog();
+  }
+
+  showScenarioModal(add) {
+    // Show the modal for adding a scenario, or for editing the name and
+    // run length of the selected scenario.
+    const
+        md = this.scenario_modal,
+        s = this.selectedScenario;
+    if(!add && !s) return;
+    this.adding = add;
+    md.element('name').value = (add ? '' : s.name);
+    md.element('run-length').value = (add || !s.run_length ? '' :
+        s.run_length);
+    md.show();
+    md.element('name').focus();
+  }
+
+  saveScenario() {
+    // Add a scenario or modify the selected one.
+    const
+        md = this.scenario_modal,
+        n = UI.cleanName(md.element('name').value),
+        rls = md.element('run-length').value.trim(),
+        rl = (rls ? safeStrToInt(rls, -1) : 0),
+        s = (this.adding ? null : this.selectedScenario),
+        other = MODEL.scenarios.find((sc) => sc.name === n && sc !== s);
+    if(!n) {
+      UI.warn('Scenario name cannot be empty');
+      md.element('name').focus();
+      return;
+    }
+    if(other) {
+      UI.warn(`Scenario "${n}" already exists`);
+      md.element('name').focus();
+      return;
+    }
+    if(rl < 0 || (rls && rl === 0)) {
+      UI.warn('Run length must be a positive integer');
+      md.element('run-length').focus();
+      return;
+    }
+    if(s) {
+      s.name = n;
+      s.run_length = rl;
+    } else {
+      const ns = new Scenario(n);
+      ns.run_length = rl;
+      MODEL.scenarios.push(ns);
+      this.selected_index = MODEL.scenarios.length - 1;
+    }
+    md.hide();
+    this.updateDialog();
+  }
+
+  deleteScenario() {
+    // Remove the selected scenario from the model.
+    if(!this.selectedScenario || this.running) return;
+    MODEL.scenarios.splice(this.selected_index, 1);
+    this.selected_index = Math.min(this.selected_index,
+        MODEL.scenarios.length - 1);
+    this.updateDialog();
+  }
+
+  entityFromEvent(e) {
+    // Return the aspect or leaf function that is dragged from the Finder
+    // (if any).
+    const
+        id = e.dataTransfer.getData('text'),
+        obj = MODEL.aspects[id] || MODEL.activities[id] || null;
+    if(obj instanceof Activity && !obj.isLeaf) return null;
+    return obj;
+  }
+
+  dragOver(e) {
+    // Accept aspects and functions when a scenario is selected.
+    if(this.selectedScenario && this.entityFromEvent(e)) e.preventDefault();
+  }
+
+  drop(e) {
+    // Add an override for the entity that is dropped.
+    const
+        s = this.selectedScenario,
+        obj = this.entityFromEvent(e);
+    if(!s || !obj) return;
+    e.preventDefault();
+    let c = '';
+    if(obj instanceof Activity) {
+      // By default, override the first incoming expression that has
+      // been defined.
+      c = 'I';
+      for(let i = 0; i < 5; i++) {
+        const l = 'CRPIT'.charAt(i);
+        if(obj.incoming_expressions[l].text) {
+          c = l;
+          break;
+        }
+      }
+    }
+    s.addOverride(obj, c);
+    this.updateDialog();
+  }
+
+  setOverrideText(index, text) {
+    // Set the expression of override `index` of the selected scenario,
+    // and warn the modeler if it is invalid.
+    const s = this.selectedScenario;
+    if(!s || !s.overrides[index]) return;
+    const
+        ov = s.overrides[index],
+        xp = new ExpressionParser(text.trim(), ov.entity, ov.connector);
+    ov.text = text.trim();
+    if(xp.error) {
+      UI.warn(`Syntax error in ${s.overrideName(ov)}: ${xp.error}`);
+    }
+  }
+
+  setOverrideConnector(index, c) {
+    // Change the incoming expression that override `index` of the selected
+    // scenario applies to.
+    const s = this.selectedScenario;
+    if(!s || !s.overrides[index]) return;
+    const ov = s.overrides[index];
+    if(s.overrides.find((o) => o.entity === ov.entity && o.connector === c)) {
+      UI.warn(`This scenario already overrides the ${circledLetter(c)} ` +
+          'expression of this function');
+    } else {
+      ov.connector = c;
+    }
+    this.updateDialog();
+  }
+
+  removeOverride(index) {
+    const s = this.selectedScenario;
+    if(!s) return;
+    s.overrides.splice(index, 1);
+    this.updateDialog();
+  }
+
+  run() {
+    // Run all scenarios, and then the baseline.
+    if(this.running) return;
+    // NOTE: Experiment runs would reset the VM while an interactive run is
+    // still in progress.
+    if(VM.solving || VM.paused) {
+      UI.warn('Experiment cannot start while the model is being run');
+      return;
+    }
+    if(!MODEL.scenarios.length) {
+      UI.warn('Model has no scenarios');
+      return;
+    }
+    this.experiment = new Experiment(MODEL.scenarios);
+    this.running = true;
+    this.updateDialog();
+    UI.waitingCursor();
+    // NOTE: Runs are performed one at a time, so that the browser remains
+    // responsive and progress can be shown.
+    setTimeout(() => EXPERIMENT_MANAGER.nextRun());
+  }
+
+  nextRun() {
+    // Perform the next run of the experiment.
+    const x = this.experiment;
+    if(x.done) {
+      this.finish();
+      return;
+    }
+    x.runNext();
+    const n = x.scenarios.length + 1;
+    this.status.innerText = `Run ${x.completed} of ${n}`;
+    UI.setProgressNeedle(x.completed / n);
+    setTimeout(() => EXPERIMENT_MANAGER.nextRun());
+  }
+
+  finish() {
+    this.running = false;
+    UI.normalCursor();
+    UI.setProgressNeedle(0);
+    // The diagram shows the results of the baseline run.
+    UI.drawDiagram(MODEL);
+    UI.updateTimeStep();
+    MONITOR.updateDialog();
+    this.updateDialog();
+  }
+
+  updateDialog() {
+    // Display the scenarios, the overrides of the selected scenario, and
+    // the results of the last experiment (if any).
+    const sl = MODEL ? MODEL.scenarios : [];
+    if(this.selected_index >= sl.length) this.selected_index = sl.length - 1;
+    const s = this.selectedScenario;
+    if(s && !this.running) {
+      UI.enableButtons('experiment-edit experiment-delete');
+    } else {
+      UI.disableButtons('experiment-edit experiment-delete');
+    }
+    // NOTE: An experiment cannot start while an interactive run is in
+    // progress.
+    if(sl.length && !this.running && !(VM.solving || VM.paused)) {
+      UI.enableButtons('experiment-run');
+    } else {
+      UI.disableButtons('experiment-run');
+    }
+    if(!this.running) {
+      const x = this.experiment;
+      this.status.innerText = pluralS(sl.length, 'scenario') +
+          (x ? ` (last experiment used random seed ${x.seed})` : '');
+    }
+    let html = [];
+    for(let i = 0; i < sl.length; i++) {
+      const rl = (sl[i].run_length ? ` (${sl[i].run_length} cycles)` : '');
+      html.push('<tr class="dataset', (i === this.selected_index ?
+          ' sel-set' : ''), '" onclick="EXPERIMENT_MANAGER.selectScenario(',
+          i, ');"><td>', xmlEncoded(sl[i].name), rl, '</td></tr>');
+    }
+    this.scenario_table.innerHTML = html.join('');
+    html = [];
+    if(s) {
+      s.removeObsoleteOverrides();
+      for(let i = 0; i < s.overrides.length; i++) {
+        const
+            ov = s.overrides[i],
+            asp = ov.entity instanceof Aspect;
+        html.push('<tr><td class="experiment-entity"><img class="finder" ',
+            'src="images/', (asp ? 'aspect' : 'activity'), '.png">',
+            ov.entity.displayName);
+        if(!asp) {
+          html.push(' <select onchange="EXPERIMENT_MANAGER.',
+              'setOverrideConnector(', i, ', this.value);">');
+          for(let j = 0; j < 5; j++) {
+            const c = 'CRPIT'.charAt(j);
+            html.push('<option value="', c, '"',
+                (c === ov.connector ? ' selected' : ''), '>',
+                circledLetter(c), '</option>');
+          }
+          html.push('</select>');
+        }
+        html.push('</td><td class="experiment-x"><input type="text" ',
+            'autocomplete="off" value="', xmlEncoded(ov.text),
+            '" onchange="EXPERIMENT_MANAGER.setOverrideText(', i,
+            ', this.value);"></td><td><img class="experiment-remove" ',
+            'src="images/remove.png" title="Remove override" ',
+            'onclick="EXPERIMENT_MANAGER.removeOverride(', i, ');"></td></tr>');
+      }
+      if(!s.overrides.length) {
+        html.push('<tr><td class="experiment-hint">Drag aspects and ',
+            'functions from the Finder to this dialog to override their ',
+            'expressions</td></tr>');
+      }
+    }
+    this.override_table.innerHTML = html.join('');
+    this.updateResults();
+  }
+
+  updateResults() {
+    // Display the activation counts of the last experiment.
+    const x = this.experiment;
+    if(!x || !x.done) {
+      this.results_table.innerHTML = '';
+      return;
+    }
+    const
+        html = ['<tr><th>Function</th><th>Baseline</th>'],
+        fl = x.functions;
+    for(let i = 0; i < x.scenarios.length; i++) {
+      html.push('<th>', xmlEncoded(x.scenarios[i].name), '</th>');
+    }
+    html.push('</tr>');
+    for(let i = 0; i < fl.length; i++) {
+      const
+          code = fl[i].code,
+          b = x.baseline[code];
+      html.push('<tr><td class="experiment-function">', fl[i].displayName,
+          '</td><td class="experiment-count">', b, '</td>');
+      for(let j = 0; j < x.activations.length; j++) {
+        const n = x.activations[j][code];
+        html.push('<td class="experiment-count',
+            (n !== b ? ' experiment-diff' : ''), '">', n, '</td>');
+      }
+      html.push('</tr>');
+    }
+    this.results_table.innerHTML = html.join('');
+  }
+
+} // END of class ExperimentManager
@@ -0,0 +1,175 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-explanation-manager.js) provides the GUI for
+explaining why a function is (not) active in the current cycle: the
+draggable/resizable dialog that shows for each of its CRPIT aspects whether
+it was satisfied by an incoming expression or by incoming links, and that
+links through to the upstream functions so that the causal chain can be
+traced back in time.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+// CLASS ExplanationManager provides the explanation dialog functionality
+class ExplanationManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('explain');
+    UI.resizableDialog('explain', 'EXPLANATION_MANAGER');
+    this.close_btn = document.getElementById('explain-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.title = document.getElementById('explain-title');
+    this.table = document.getElementById('explain-table');
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.target = null;
+  }
+
+  checkSelection() {
+    // Explain the state of the selected function when the selection has
+    // changed.
+    if(!this.visible) return;
+    const
+        sel = MODEL.selection,
+        a = (sel.length === 1 && sel[0] instanceof Activity &&
+            sel[0].isLeaf ? sel[0] : null);
+    if(a && a !== this.target) {
+      this.target = a;
+      this.updateDialog();
+    }
+  }
+
+  traceBack(id) {
+    // Explain the state of upstream function `id` in the previous cycle.
+    const a = MODEL.activities[id];
+    if(!a || MODEL.t < 1) return;
+    this.target = a;
+    MODEL.t--;
+    // Show the upstream function in its diagram.
+    if(a.parent && a.parent !== MODEL.focal_activity) {
+      UI.makeFocalActivity(a.parent);
+    }
+    MODEL.clearSelection();
+    MODEL.select(a);
+    UI.updateTimeStep();
+    UI.drawDiagram(MODEL);
+    UI.updateButtons();
+    MONITOR.updateDialog();
+    this.updateDialog();
+  }
+
+  functionLink(a) {
+    // Return HTML for the name of function `a` that traces back to it.
+    return ['<a class="explain-trace" title="Explain the state of this ',
+        'function in the previous cycle" onclick="EXPLANATION_MANAGER.',
+        'traceBack(\'', a.identifier, '\');">', a.displayName,
+        '</a>'].join('');
+  }
+
+  verdict(ok, yes='satisfied', no='not satisfied') {
+    // Return HTML for a verdict, colored to tell whether it is positive.
+    return `<span class="explain-${ok ? 'yes' : 'no'}">` +
+        (ok ? yes : no) + '</span>';
+  }
+
+  updateDialog() {
+    // Display why the target function is (not) active in the current cycle.
+    if(!this.visible) return;
+    // NOTE: The target may have been deleted.
+    if(this.target && MODEL.activities[this.target.identifier] !==
+        this.target) this.target = null;
+    const
+        a = this.target,
+        t = MODEL.t,
+        html = [];
+    if(!a) {
+      this.title.innerText = '(select a function in the diagram)';
+      this.table.innerHTML = '';
+      return;
+    }
+    if(!MODEL.solved) {
+      this.title.innerText = a.displayName + ' (run the model first)';
+      this.table.innerHTML = '';
+      return;
+    }
+    const e = a.explainState(t);
+    this.title.innerHTML = [a.displayName, ' is ',
+        this.verdict(e.active, 'active', 'not active'), ' in cycle ', t,
+        (e.entry ? ' (entry function)' : '')].join('');
+    for(let i = 0; i < e.connectors.length; i++) {
+      const
+          c = e.connectors[i],
+          k = c.connector;
+      html.push('<tr><td class="explain-connector">', circledLetter(k), ' ',
+          UI.aspect_type[k], ' ', this.verdict(c.satisfied), '</td></tr>',
+          '<tr><td class="explain-reason">');
+      if(c.reason === 'expression') {
+        html.push('by incoming expression <code>', xmlEncoded(c.expression),
+            '</code> = ', VM.sig4Dig(c.value));
+      } else {
+        if(c.expression) {
+          html.push('incoming expression <code>', xmlEncoded(c.expression),
+              '</code> = ', VM.sig4Dig(c.value),
+              ' is exceptional, so default rules apply<br>');
+        }
+        if(c.reason === 'entry') {
+          html.push('by default, as this is an entry function');
+        } else if(c.reason === 'first cycle') {
+          html.push('in cycle 0, incoming links cannot be satisfied');
+        } else if(c.reason === 'no links') {
+          html.push(k === 'I' ? 'no incoming links' :
+              'by default, as there are no incoming links');
+        } else {
+          html.push(c.rule);
+        }
+      }
+      html.push('</td></tr>');
+      for(let j = 0; j < c.links.length; j++) {
+        const le = c.links[j];
+        html.push('<tr><td class="explain-link">', this.functionLink(le.from),
+            ' was ', (le.active ? 'active' : 'not active'), ' in cycle ',
+            t - 1);
+        if(le.active && le.omitted) {
+          html.push(', but its output was omitted');
+        } else if(le.active && !le.ready) {
+          html.push(', but its output is not available until ',
+              UI.clockTime(le.ready_time));
+        } else if(le.active) {
+          const al = le.aspects.map((asp) => asp.aspect.displayName +
+              (asp.defined ? ' = ' + VM.sig4Dig(asp.value) : ' (TRUE)'));
+          html.push(al.length ? ': ' + al.join(', ') :
+              ', but the link has no aspects');
+        }
+        html.push(' → link ', this.verdict(le.satisfied), '</td></tr>');
+      }
+    }
+    this.table.innerHTML = html.join('');
+  }
+
+} // END of class ExplanationManager
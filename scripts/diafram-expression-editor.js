@@ -42,6 +42,9 @@ class ExpressionEditor {
     this.aspect = md.element('aspect');
     this.incoming_div = md.element('incoming-div');
     this.incoming_aspect = md.element('incoming-aspect');
+    this.rule_div = md.element('rule-div');
+    this.rule = md.element('rule');
+    this.rule_value = md.element('rule-value');
     this.activity = md.element('activity');
     this.text = md.element('text');
     this.status = md.element('status');
@@ -139,6 +142,7 @@ NOTE: Grouping groups results in a single group, e.g., (1;2);(3;4;5) evaluates a
 </p>`;
     // Add listeners to the GUI elements.
     md.ok.addEventListener('click', () => X_EDIT.parseExpression());
+    this.rule.addEventListener('change', () => X_EDIT.updateRuleValue());
     md.cancel.addEventListener('click', () => X_EDIT.cancel());
     // NOTE: This modal also has an information button in its header.
     md.info.addEventListener(
@@ -171,6 +175,12 @@ NOTE: Grouping groups results in a single group, e.g., (1;2);(3;4;5) evaluates a
       this.activity.innerText = obj.displayName;
       this.incoming_div.style.display = 'block';
       this.aspect_div.style.display = 'none';
+      const lr = obj.link_rules[con];
+      this.rule.value = lr.rule;
+      this.rule_value.value = (lr.rule === 'at-least' ||
+          lr.rule === 'weighted' ? lr.value : '');
+      this.rule_div.style.display = 'block';
+      this.updateRuleValue();
     } else {
       this.edited_expression = obj.expression;
       this.type.innerText = 'system aspect';
@@ -180,6 +190,7 @@ NOTE: Grouping groups results in a single group, e.g., (1;2);(3;4;5) evaluates a
       this.aspect.value = obj.displayName;
       this.aspect_div.style.display = 'block';
       this.incoming_div.style.display = 'none';
+      this.rule_div.style.display = 'none';
     }
     this.text.value = this.edited_expression.text.trim();
     
@@ -188,6 +199,33 @@ NOTE: Grouping groups results in a single group, e.g., (1;2);(3;4;5) evaluates a
     UI.modals.expression.show('text');
   }
  
+  updateRuleValue() {
+    // Show the value field only for link rules that have a value.
+    const r = this.rule.value;
+    this.rule_value.style.display = (r === 'at-least' || r === 'weighted' ?
+        'inline-block' : 'none');
+    if(r === 'at-least' && !this.rule_value.value) this.rule_value.value = 1;
+  }
+
+  get linkRule() {
+    // Return the link rule specified in the dialog as object {rule, value},
+    // or NULL (after warning the modeler) if its value is invalid.
+    const
+        r = this.rule.value,
+        v = safeStrToFloat(this.rule_value.value.trim(), NaN);
+    if(r === 'at-least' && !(Number.isInteger(v) && v > 0)) {
+      this.status.innerHTML = 'Number of links must be a positive integer';
+    } else if(r === 'weighted' && isNaN(v)) {
+      this.status.innerHTML = 'Weight threshold must be a number';
+    } else {
+      return {rule: r, value: (isNaN(v) ? 0 : v)};
+    }
+    this.status.style.backgroundColor = 'Yellow';
+    SOUNDS.warning.play();
+    this.rule_value.focus();
+    return null;
+  }
+
   cancel() {
     // Close the expression editor dialog.
     this.edited_expression = null;
@@ -211,6 +249,9 @@ NOTE: Grouping groups results in a single group, e.g., (1;2);(3;4;5) evaluates a
         return false;
       }
     }
+    // The link rule applies to the incoming expressions of activities.
+    const lr = (obj instanceof Activity ? this.linkRule : null);
+    if(obj instanceof Activity && !lr) return false;
     // Only now parse the contents of the expression editor.
     let xt = this.text.value.trim();
     // Remove all non-functional whitespace from variable references. 
@@ -231,8 +272,19 @@ NOTE: Grouping groups results in a single group, e.g., (1;2);(3;4;5) evaluates a
       ok = false;
     } else {
       // Changing an expression invalidates model results.
-      const reset = this.edited_expression.text !== xp.expr;
+      let reset = this.edited_expression.text !== xp.expr;
       this.edited_expression.text = xp.expr;
+      if(lr) {
+        const
+            c = this.edited_connector,
+            olr = obj.link_rules[c];
+        if(lr.rule !== olr.rule || lr.value !== olr.value) {
+          obj.setLinkRule(c, lr.rule, lr.value);
+          // Redraw the activity, as its connector shows the link rule.
+          UI.paper.drawActivity(obj);
+          reset = true;
+        }
+      }
       if(reset) UI.resetModel();
       UI.modals.expression.hide();
       UI.edited_object = false;
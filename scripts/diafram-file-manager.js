@@ -57,9 +57,9 @@ class FileManager {
       } else {
         this.last_file_extension = '';
       }
-      if(this.last_file_extension === 'xfmv') {
-        UI.warn('Some data from FRAM Model Visualiser files will be ingnored'); 
-      } else if(this.last_file_extension != 'dfram') {
+      if(this.last_file_extension !== 'xfmv' &&
+          this.last_file_extension !== 'dfram' &&
+          this.last_file_extension !== 'json') {
         UI.warn('diaFRAM files should have extension .dfram');
       }
       const reader = new FileReader();
@@ -89,6 +89,42 @@ class FileManager {
     this.pushModelToBrowser(MODEL.asXML.replace(/#/g, '%23'));
   }
   
+  saveModelAsFMV() {
+    // Save the current model as FRAM Model Visualizer file, and warn the
+    // modeler about the diaFRAM-only data that will be lost.
+    MODEL.clearSelection();
+    const
+        losses = MODEL.fmvExportLosses,
+        blob = new Blob([MODEL.asFMV], {'type': 'text/xml'}),
+        e = document.getElementById('xml-saver');
+    e.download = (fileName(MODEL.name) || 'FRAM-model') + '.xfmv';
+    e.type = 'text/xml';
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+    // Clear the HREF after 3 seconds or it may use a lot of memory.
+    setTimeout(
+        () => { document.getElementById('xml-saver').href = ''; }, 3000);
+    if(losses.length) {
+      UI.warn('Not exported to FMV: ' + losses.join(', '));
+    }
+  }
+  
+  saveModelAsJSON() {
+    // Save the current model in JSON format (UTF-8).
+    MODEL.clearSelection();
+    const
+        blob = new Blob([JSON.stringify(MODEL.asJSON, null, 2)],
+            {'type': 'application/json'}),
+        e = document.getElementById('xml-saver');
+    e.download = (fileName(MODEL.name) || 'model') + '.json';
+    e.type = 'application/json';
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+    // Clear the HREF after 3 seconds or it may use a lot of memory.
+    setTimeout(
+        () => { document.getElementById('xml-saver').href = ''; }, 3000);
+  }
+  
   pushModelToBrowser(xml) {
     // Save model as .dfram file.
     UI.setMessage('Model file size: ' + UI.sizeInBytes(xml.length));
@@ -145,6 +181,8 @@ class FileManager {
   
   saveDiagramAsSVG(event) {
     // Output SVG as string with nodes and arrows 100% opaque.
+    // NOTE: In swimlane view, the lanes are part of the SVG, and hence
+    // are included in the image.
     if(event.shiftKey) {
       // First align to grid and then fit to size.
       MODEL.alignToGrid();      
@@ -197,5 +235,18 @@ class FileManager {
     e.href = (window.URL || webkitURL).createObjectURL(blob);
     e.click();
   }  
+  
+  pushOutCSV(csv, suffix) {
+    // Save `csv` as comma-separated values file, named after the model
+    // and suffixed by `suffix`.
+    const
+        blob = new Blob([csv], {'type': 'text/csv'}),
+        e = document.getElementById('svg-saver'),
+        name = (fileName(MODEL.name) || 'FRAM-model') + '-' + suffix;
+    e.download = name + '.csv';
+    e.type = 'text/csv';
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+  }
  
 } // END of class FileManager
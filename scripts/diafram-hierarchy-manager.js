@@ -0,0 +1,150 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-hierarchy-manager.js) provides the GUI for
+navigating the function hierarchy: the draggable/resizable dialog that
+shows the tree of all activities and their sub-activities, and that lets
+the modeler move a function to another parent activity by dragging it
+onto that activity (undoably, like dropping a selection in the diagram).
+*/
+
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+// CLASS HierarchyManager provides the hierarchy dialog functionality
+class HierarchyManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('hierarchy');
+    UI.resizableDialog('hierarchy', 'HIERARCHY_MANAGER');
+    this.close_btn = document.getElementById('hierarchy-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.table = document.getElementById('hierarchy-table');
+    // Indentation (in pixels) per level in the hierarchy.
+    this.indent = 14;
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.dragged_activity = null;
+  }
+
+  selectActivity(id) {
+    // Make the activity focal, or for a leaf activity its parent, and
+    // then select the leaf in the diagram.
+    const a = MODEL.activities[id];
+    if(!a) return;
+    if(a.isLeaf && a.parent) {
+      UI.makeFocalActivity(a.parent);
+      MODEL.select(a);
+      UI.drawDiagram(MODEL);
+      UI.updateButtons();
+    } else {
+      UI.makeFocalActivity(a);
+    }
+  }
+
+  canDrop(a, pa) {
+    // Return TRUE if activity `a` can be moved into activity `pa`.
+    // NOTE: As when dropping in the diagram, the new parent must be a
+    // mere container for sub-activities, so it cannot have links.
+    if(!a || !pa || a === pa || a === MODEL.top_activity ||
+        a.parent === pa || a.containsActivity(pa)) return false;
+    const io = pa.countLinksInOut;
+    return !(io.incoming || io.outgoing);
+  }
+
+  dragStart(e, id) {
+    // Record the activity that is being dragged.
+    this.dragged_activity = MODEL.activities[id] || null;
+    // NOTE: Some browsers only start dragging when data has been set.
+    e.dataTransfer.setData('text', id);
+  }
+
+  dragOver(e, id) {
+    // Permit dropping only on a valid new parent activity.
+    if(this.canDrop(this.dragged_activity, MODEL.activities[id])) {
+      e.preventDefault();
+    }
+  }
+
+  drop(e, id) {
+    // Move the dragged activity into the activity it is dropped on.
+    e.preventDefault();
+    const
+        a = this.dragged_activity,
+        pa = MODEL.activities[id];
+    this.dragged_activity = null;
+    if(!this.canDrop(a, pa)) return;
+    // Use the same (undoable) logic as for dropping the selection in the
+    // diagram of the present parent of `a`.
+    // NOTE: The undo action is "lift" rather than "drop", because undoing
+    // a drop also undoes the move that precedes it in the diagram.
+    const fa = MODEL.focal_activity;
+    MODEL.focal_activity = a.parent;
+    MODEL.selectList([a]);
+    UNDO_STACK.push('lift', pa);
+    MODEL.dropSelectionIntoActivity(pa);
+    MODEL.focal_activity = fa;
+    UI.drawDiagram(MODEL);
+    UI.updateButtons();
+  }
+
+  activityRows(a, level, html) {
+    // Add a table row for activity `a` to `html`, followed by the rows
+    // for its sub-activities (recursively).
+    const
+        n = a.sub_activities.length,
+        top = (a === MODEL.top_activity);
+    html.push('<tr class="dataset',
+        (a === MODEL.focal_activity ? ' sel-set' : ''),
+        '" data-id="', a.identifier, '" draggable="', !top,
+        '" onclick="HIERARCHY_MANAGER.selectActivity(this.dataset.id);" ',
+        'ondragstart="HIERARCHY_MANAGER.dragStart(event, this.dataset.id);" ',
+        'ondragover="HIERARCHY_MANAGER.dragOver(event, this.dataset.id);" ',
+        'ondrop="HIERARCHY_MANAGER.drop(event, this.dataset.id);">',
+        '<td style="padding-left: ', 2 + level * this.indent, 'px">',
+        '<img class="finder" src="images/activity.png">',
+        xmlEncoded(a.displayName),
+        (n ? ` <span class="hierarchy-count">(${n})</span>` : ''),
+        '</td></tr>');
+    // List sub-activities in alphabetical order.
+    const sal = a.sub_activities.slice().sort(
+        (a, b) => ciCompare(a.displayName, b.displayName));
+    for(let i = 0; i < sal.length; i++) {
+      this.activityRows(sal[i], level + 1, html);
+    }
+  }
+
+  updateDialog() {
+    // Display the activity hierarchy as an indented list.
+    if(!this.visible) return;
+    const html = [];
+    this.activityRows(MODEL.top_activity, 0, html);
+    this.table.innerHTML = html.join('');
+  }
+
+} // END of class HierarchyManager
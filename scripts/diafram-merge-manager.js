@@ -0,0 +1,127 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-merge-manager.js) provides the GUI for
+comparing the current model with another diaFRAM model: the draggable/
+resizable dialog that lists the differences between the two models, and
+that lets the modeler accept these changes one by one (undoably) into the
+current model.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS MergeManager provides the model comparison dialog functionality
+class MergeManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('merge');
+    UI.resizableDialog('merge', 'MERGE_MANAGER');
+    this.close_btn = document.getElementById('merge-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.file_input = document.getElementById('merge-file');
+    this.file_input.addEventListener(
+        'change', () => MERGE_MANAGER.readFile());
+    this.status = document.getElementById('merge-status');
+    this.table = document.getElementById('merge-table');
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    // The XML of the other model and the name of its file.
+    this.other_xml = '';
+    this.file_name = '';
+    this.diff = null;
+    this.file_input.value = '';
+    this.updateDialog();
+  }
+
+  readFile() {
+    // Read the model file selected in the dialog.
+    const file = this.file_input.files[0];
+    if(!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        MERGE_MANAGER.file_name = file.name;
+        MERGE_MANAGER.other_xml = event.target.result;
+        MERGE_MANAGER.updateDialog();
+      };
+    reader.readAsText(file);
+  }
+
+  acceptChange(index) {
+    // Accept the change having index `index` into the current model.
+    if(!this.diff) return;
+    const c = this.diff.changes[index];
+    if(!c) return;
+    // NOTE: Push the edit *before* making the change, as the undo stack
+    // then saves the entity as it was before the change.
+    UNDO_STACK.push('merge', c);
+    if(this.diff.accept(c)) {
+      UI.notify('Accepted: ' + c.text);
+    } else {
+      UNDO_STACK.pop('merge');
+    }
+    UI.drawDiagram(MODEL);
+    UI.updateButtons();
+    this.updateDialog();
+  }
+
+  updateDialog() {
+    // Compare the current model with the other model, and display the
+    // differences.
+    if(!this.visible) return;
+    this.diff = null;
+    if(!this.other_xml) {
+      this.status.innerText = '(select a diaFRAM model file to compare with)';
+      this.table.innerHTML = '';
+      return;
+    }
+    try {
+      this.diff = new ModelDiff(this.other_xml);
+    } catch(err) {
+      this.status.innerText = `(file "${this.file_name}" could not be parsed)`;
+      this.table.innerHTML = '';
+      UI.alert('Error while comparing models: ' + err);
+      return;
+    }
+    const
+        cl = this.diff.changes,
+        html = [];
+    this.status.innerText = (cl.length ? pluralS(cl.length, 'difference') :
+        'No differences') + ` with "${this.file_name}"`;
+    for(let i = 0; i < cl.length; i++) {
+      const
+          c = cl[i],
+          img = (c.type === 'Actor' ? 'agent' : c.type.toLowerCase());
+      html.push('<tr class="dataset"><td class="merge-change">',
+          '<img class="finder" src="images/', img, '.png">',
+          xmlEncoded(c.text), '</td><td class="merge-accept">',
+          '<img class="btn enab" src="images/ok.png" title="Accept change" ',
+          'onclick="MERGE_MANAGER.acceptChange(', i, ');"></td></tr>');
+    }
+    this.table.innerHTML = html.join('');
+  }
+
+} // END of class MergeManager
@@ -53,6 +53,10 @@ class diaFRAMModel {
     this.next_aspect_number = 1;
     this.focal_activity = null;
     this.top_activity = this.addActivity(UI.TOP_ACTIVITY_NAME, UI.NO_ACTOR);
+    // NOTE: The code of the top activity is issued by the global MODEL,
+    // which may be another model, so set it explicitly to avoid that it
+    // will later be issued again to some other activity of this model.
+    this.top_activity.code = '0';
     this.focal_activity = this.top_activity;
     
     this.actor_list = [];
@@ -62,7 +66,24 @@ class diaFRAMModel {
     this.grid_pixels = 20;
     this.align_to_grid = true;
     this.run_length = 10;
+    // NOTE: Random seed 0 means that each run uses a different seed.
+    this.random_seed = 0;
+    // In event-driven mode, the VM computes all remaining cycles at once
+    // when no function can change state any more (see VM `quiescent`).
+    this.event_driven = false;
+    // In swimlane view, the diagram has a horizontal lane for each actor.
+    this.swimlanes = false;
+    // The layout of the diagram in normal view is restored when swimlane
+    // view is switched off.
+    // NOTE: This layout is not saved with the model.
+    this.normal_layout = null;
     this.last_zoom_factor = 1;
+    // Report on the conversion of a FRAM Model Visualiser file (if any).
+    this.fmv_import_report = null;
+    // Problems detected while loading the model (see `validate`).
+    this.validation_issues = [];
+    // Scenarios that override expressions (see class Scenario).
+    this.scenarios = [];
     
     // Diagram editor related properties.
     this.selected_aspect = null;
@@ -466,12 +487,355 @@ class diaFRAMModel {
       fc.notes[i].x += dx;
       fc.notes[i].y += dy;
     }
+    const vl = fc.visibleLinks;
+    for(let i = 0; i < vl.length; i++) vl[i].moveBendPoints(dx, dy);
     // NOTE: force drawing, because SVG must immediately be downloadable.
     UI.drawDiagram(this);
     // If dragging, add (dx, dy) to the properties of the top "move" UndoEdit.
     if(UI.dragged_node) UNDO_STACK.addOffset(dx, dy);
   }
 
+  arrangeActivities(acts) {
+    // Place the activities in list `acts` (all in the focal activity) in
+    // layers from left to right, following the trigger sequence, and order
+    // them within each layer so as to reduce the number of link crossings.
+    // In swimlane view, activities are placed in the lane of their actor.
+    // The arranged activities keep the top-left corner of their bounding
+    // box, and links between them lose their bend points. Return TRUE if
+    // any activity has been moved or link has been straightened.
+    const n = acts.length;
+    if(n < 2) return false;
+    // Collect the links between the arranged activities as they appear in
+    // the diagram, i.e., including "deep" links between clusters.
+    const
+        fc = this.focal_activity,
+        dvl = fc.deepVisibleLinks,
+        vl = fc.visibleLinks,
+        edges = [];
+    for(let k in dvl) if(dvl.hasOwnProperty(k)) vl.push(dvl[k]);
+    for(let i = 0; i < vl.length; i++) {
+      const
+          f = acts.indexOf(vl[i].from_activity),
+          t = acts.indexOf(vl[i].to_activity);
+      if(f >= 0 && t >= 0 && f !== t) edges.push([f, t]);
+    }
+    // The routes of these links will no longer fit the new layout.
+    let moved = false;
+    for(let i = 0; i < vl.length; i++) {
+      const l = vl[i];
+      if(l.bend_points.length && acts.indexOf(l.from_activity) >= 0 &&
+          acts.indexOf(l.to_activity) >= 0) {
+        l.bend_points.length = 0;
+        moved = true;
+      }
+    }
+    // Functions are ranked by the layer in the trigger sequence; clusters
+    // by the lowest rank of their leaf activities.
+    const
+        seq = this.triggerSequence,
+        rank = {},
+        layer = [];
+    for(let i = 0; i < seq.length; i++) {
+      for(let j = 0; j < seq[i].length; j++) rank[seq[i][j].identifier] = i;
+    }
+    for(let i = 0; i < n; i++) {
+      const la = (acts[i].isLeaf ? [acts[i]] : acts[i].leafActivities);
+      let r = -1;
+      for(let j = 0; j < la.length; j++) {
+        const lr = rank[la[j].identifier];
+        if(lr !== undefined && (r < 0 || lr < r)) r = lr;
+      }
+      layer.push(r);
+    }
+    const reached = layer.map((r) => r >= 0);
+    // Activities that cannot be reached from entry functions are placed
+    // to the right of their upstream activities.
+    for(let pass = 0; pass < n; pass++) {
+      let change = false;
+      for(let i = 0; i < edges.length; i++) {
+        const [f, t] = edges[i];
+        if(!reached[t] && layer[t] <= layer[f]) {
+          layer[t] = layer[f] + 1;
+          change = true;
+        }
+      }
+      if(!change) break;
+    }
+    // Exit functions are placed in the rightmost layer.
+    const ml = Math.max(0, ...layer);
+    for(let i = 0; i < n; i++) {
+      if(layer[i] < 0) layer[i] = 0;
+      if(acts[i].isExit) layer[i] = ml;
+    }
+    // Renumber the layers so that no layer is empty.
+    const lnrs = [...new Set(layer)].sort((a, b) => a - b);
+    let layers = lnrs.map(() => []);
+    for(let i = 0; i < n; i++) {
+      layer[i] = lnrs.indexOf(layer[i]);
+      layers[layer[i]].push(i);
+    }
+    // Initially, order activities within their layer by their Y-position.
+    for(let l = 0; l < layers.length; l++) {
+      layers[l].sort((a, b) => acts[a].y - acts[b].y);
+    }
+    // Then iteratively sort each layer by the mean position of the linked
+    // activities in the adjacent layer, alternately sweeping left-to-right
+    // and right-to-left, and keep the ordering with the fewest crossings.
+    const
+        pos = new Array(n),
+        setPositions = (ll) => {
+            for(let l = 0; l < ll.length; l++) {
+              for(let i = 0; i < ll[l].length; i++) pos[ll[l][i]] = i;
+            }
+          },
+        crossings = () => {
+            let c = 0;
+            for(let i = 0; i < edges.length; i++) {
+              const [f1, t1] = edges[i];
+              for(let j = i + 1; j < edges.length; j++) {
+                const [f2, t2] = edges[j];
+                // Only count crossings of links between the same layers.
+                if(layer[f1] === layer[f2] && layer[t1] === layer[t2] &&
+                    (pos[f1] - pos[f2]) * (pos[t1] - pos[t2]) < 0) c++;
+              }
+            }
+            return c;
+          };
+    setPositions(layers);
+    let best = layers.map((l) => l.slice()),
+        least = crossings();
+    for(let sweep = 0; sweep < 8 && least > 0; sweep++) {
+      const
+          ltr = sweep % 2 === 0,
+          first = (ltr ? 1 : layers.length - 2),
+          step = (ltr ? 1 : -1);
+      for(let l = first; l >= 0 && l < layers.length; l += step) {
+        const
+            adj = l - step,
+            bc = {};
+        for(let i = 0; i < layers[l].length; i++) {
+          const a = layers[l][i];
+          let sum = 0,
+              cnt = 0;
+          for(let j = 0; j < edges.length; j++) {
+            const [f, t] = edges[j];
+            if(f === a && layer[t] === adj) {
+              sum += pos[t];
+              cnt++;
+            } else if(t === a && layer[f] === adj) {
+              sum += pos[f];
+              cnt++;
+            }
+          }
+          // Activities without links to the adjacent layer keep their
+          // position.
+          bc[a] = (cnt ? sum / cnt : pos[a]);
+        }
+        layers[l].sort((a, b) => bc[a] - bc[b]);
+        for(let i = 0; i < layers[l].length; i++) pos[layers[l][i]] = i;
+      }
+      const c = crossings();
+      if(c < least) {
+        least = c;
+        best = layers.map((l) => l.slice());
+      }
+    }
+    layers = best;
+    // Position the activities on a grid that leaves room for the links.
+    let x0 = Infinity,
+        y0 = Infinity,
+        w = 0,
+        h = 0;
+    for(let i = 0; i < n; i++) {
+      const a = acts[i];
+      x0 = Math.min(x0, a.x - a.width / 2);
+      y0 = Math.min(y0, a.y - a.height / 2);
+      w = Math.max(w, a.width);
+      h = Math.max(h, a.height);
+    }
+    // Without swimlanes, all activities are in one lane. Each lane has as
+    // many rows as it has activities in one layer, and the activities of
+    // a layer are centered vertically within their lane.
+    const
+        lanes = (this.swimlanes ? fc.actorLanes.map(
+            (l) => l[1].filter((a) => acts.indexOf(a) >= 0)).filter(
+            (l) => l.length > 0) : [acts]),
+        lane = acts.map((a) => lanes.findIndex((l) => l.indexOf(a) >= 0)),
+        rows = lanes.map(() => 0),
+        dx = 2 * w + 40,
+        dy = h + 40;
+    for(let l = 0; l < layers.length; l++) {
+      const cnt = lanes.map(() => 0);
+      for(let i = 0; i < layers[l].length; i++) cnt[lane[layers[l][i]]]++;
+      for(let k = 0; k < lanes.length; k++) {
+        rows[k] = Math.max(rows[k], cnt[k]);
+      }
+    }
+    for(let l = 0; l < layers.length; l++) {
+      // NOTE: Keep the order within the layer for activities in one lane.
+      const
+          ll = layers[l].slice().sort((a, b) => lane[a] - lane[b]),
+          cnt = lanes.map(() => 0);
+      for(let i = 0; i < ll.length; i++) cnt[lane[ll[i]]]++;
+      let k = -1,
+          top = 0,
+          row = 0;
+      for(let i = 0; i < ll.length; i++) {
+        const
+            a = acts[ll[i]],
+            ox = a.x,
+            oy = a.y;
+        // Move down to the first row of the lane of this activity.
+        while(k < lane[ll[i]]) {
+          if(k >= 0) top += rows[k];
+          k++;
+          row = (rows[k] - cnt[k]) / 2;
+        }
+        a.x = x0 + w / 2 + l * dx;
+        a.y = y0 + h / 2 + (top + row) * dy;
+        row++;
+        if(this.align_to_grid) a.alignToGrid();
+        moved = moved || a.x !== ox || a.y !== oy;
+      }
+    }
+    return moved;
+  }
+  
+  get layoutNodes() {
+    // Return the list of all activities (except the top activity) and all
+    // links having bend points, as these determine the layout of all the
+    // diagrams of this model.
+    const nodes = [];
+    for(let k in this.activities) if(this.activities.hasOwnProperty(k)) {
+      const a = this.activities[k];
+      if(a !== this.top_activity) nodes.push(a);
+    }
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      const l = this.links[k];
+      if(l.bend_points.length) nodes.push(l);
+    }
+    return nodes;
+  }
+  
+  get focalLayoutNodes() {
+    // Return the list of nodes and notes in the focal activity, and the
+    // links among these nodes that have bend points, as these determine
+    // the layout of the focal diagram.
+    const
+        fa = this.focal_activity,
+        nodes = fa.sub_activities.concat(fa.notes);
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      const l = this.links[k];
+      if(l.bend_points.length &&
+          fa.sub_activities.indexOf(l.from_activity) >= 0 &&
+          fa.sub_activities.indexOf(l.to_activity) >= 0) nodes.push(l);
+    }
+    return nodes;
+  }
+  
+  layoutOf(nodes) {
+    // Return the layout of `nodes` as a list with [ID, x, y] for each node
+    // and [ID, list of bend points] for each link.
+    // NOTE: The undo stack stores rearranged nodes in this format.
+    return nodes.map((n) => (n instanceof Link ?
+        [n.identifier, n.bend_points.map((bp) => ({x: bp.x, y: bp.y}))] :
+        [n.identifier, n.x, n.y]));
+  }
+  
+  setLayout(layout) {
+    // Move nodes and links to their position in `layout` (see above).
+    // NOTE: Entities that no longer exist are ignored.
+    for(let i = 0; i < layout.length; i++) {
+      const
+          p = layout[i],
+          obj = this.objectByID(p[0]);
+      if(obj instanceof Link) {
+        obj.bend_points = p[1].map((bp) => ({x: bp.x, y: bp.y}));
+      } else if(obj) {
+        obj.x = p[1];
+        obj.y = p[2];
+      }
+    }
+  }
+  
+  setSwimlanes(on, layout=null) {
+    // Switch swimlane view on or off. When switching it on, `layout` must
+    // be the layout in normal view.
+    this.swimlanes = on;
+    this.normal_layout = (on ? layout.map((p) => (Array.isArray(p[1]) ?
+        [p[0], p[1].map((bp) => ({x: bp.x, y: bp.y}))] : p.slice())) : null);
+  }
+  
+  fitToLanes(move=true) {
+    // In swimlane view, move each lane of the focal activity down as far
+    // as needed to have its functions below those of the lane above it.
+    // Return TRUE if any activity has been moved, or when `move` is FALSE,
+    // if any activity would have to be moved.
+    // NOTE: This is needed when functions are added, pasted or assigned
+    // to another actor while in swimlane view. The lanes of an arranged
+    // diagram already fit.
+    if(!this.swimlanes) return false;
+    const
+        lanes = this.focal_activity.actorLanes,
+        gap = 2 * UI.LANE_MARGIN;
+    let y = -Infinity,
+        moved = false;
+    for(let k = 0; k < lanes.length; k++) {
+      const la = lanes[k][1];
+      let t = Infinity,
+          b = -Infinity;
+      for(let i = 0; i < la.length; i++) {
+        t = Math.min(t, la[i].y - la[i].height / 2);
+        b = Math.max(b, la[i].y + la[i].height / 2);
+      }
+      let dy = y + gap - t;
+      if(dy > 0) {
+        if(!move) return true;
+        if(this.align_to_grid) {
+          dy = Math.ceil(dy / this.grid_pixels) * this.grid_pixels;
+        }
+        for(let i = 0; i < la.length; i++) la[i].y += dy;
+        // Bend points move along when both nodes of their link are moved.
+        for(let id in this.links) if(this.links.hasOwnProperty(id)) {
+          const l = this.links[id];
+          if(l.bend_points.length && la.indexOf(l.from_activity) >= 0 &&
+              la.indexOf(l.to_activity) >= 0) l.moveBendPoints(0, dy);
+        }
+        b += dy;
+        moved = true;
+      }
+      y = b;
+    }
+    return moved;
+  }
+  
+  dyWithinLanes(dy) {
+    // Return vertical move `dy` of the selected activities, limited so
+    // that in swimlane view they remain below the activities in the lanes
+    // above their own lane that are not moved.
+    // NOTE: Activities that are moved down make their lane grow, as then
+    // the lanes below are moved down (see method `fitToLanes`).
+    if(!this.swimlanes || dy >= 0) return dy;
+    const
+        lanes = this.focal_activity.actorLanes,
+        gap = 2 * UI.LANE_MARGIN;
+    let min = -Infinity,
+        above = -Infinity;
+    for(let k = 0; k < lanes.length; k++) {
+      const la = lanes[k][1];
+      for(let i = 0; i < la.length; i++) {
+        const a = la[i];
+        if(a.selected) min = Math.max(min, above + gap - a.y + a.height / 2);
+      }
+      for(let i = 0; i < la.length; i++) {
+        const a = la[i];
+        if(!a.selected) above = Math.max(above, a.y + a.height / 2);
+      }
+    }
+    // NOTE: Never move down when moving up.
+    return Math.min(0, Math.max(min, dy));
+  }
+
   //
   // Methods related to selection 
   //
@@ -622,6 +986,12 @@ class diaFRAMModel {
         miny = Math.min(miny, obj.y - obj.height / 2);
       }
     }
+    // Bend points move along when both nodes of their link are moved.
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      const l = this.links[k];
+      if(l.bend_points.length && l.from_activity.selected &&
+          l.to_activity.selected) l.moveBendPoints(dx, dy);
+    }
     // Translate entire graph if some elements are above and/or left of
     // the paper edge.
     if(minx < 0 || miny < 0) {
@@ -865,6 +1235,12 @@ class diaFRAMModel {
         // ... but do not add it to the clone list if it already exists 
         if(c !== l) {
           c.copyPropertiesFrom(l);
+          // Keep the route only when both nodes have been cloned.
+          if(cf !== l.from_activity && ct !== l.to_activity) {
+            c.moveBendPoints(100, 100);
+          } else {
+            c.bend_points.length = 0;
+          }
           cloned_selection.push(c);
         }
       }
@@ -1032,8 +1408,8 @@ class diaFRAMModel {
   get triggerSequence() {
     // Return a lookup of lists of activities, where seq[0] holds all
     // entry functions, seq[1] the immediate successors of thes entry
-    // functions, etc., and seq['NR'] the functions that can *not* be
-    // reached from any entry function.
+    // functions, etc., and seq.unreachable the functions that can *not*
+    // be reached from any entry function.
     const
         aa = this.top_activity.leafActivities,
         al = [],
@@ -1057,6 +1433,101 @@ class diaFRAMModel {
     return seq;
   }
 
+  get neverActiveActivities() {
+    // Return a list of pairs [activity, reason] for all leaf activities
+    // that can never become active because some CRPIT aspect can never
+    // be satisfied.
+    // NOTE: Aspects that have an incoming expression are assumed to be
+    // satisfiable, as the expression may evaluate to TRUE.
+    const
+        la = this.top_activity.leafActivities,
+        possible = {};
+    function unsatisfied(a) {
+      // Return the reason why activity `a` cannot (yet) become active,
+      // or the empty string if it can.
+      if(a.isEntry) return '';
+      for(let i = 0; i < 5; i++) {
+        const
+            c = 'CRPIT'.charAt(i),
+            cl = a.connections[c];
+        if(a.incoming_expressions[c].defined) continue;
+        if(c === 'I' && !cl.length) {
+          return `no upstream source for ${circledLetter(c)}`;
+        }
+        // An incoming link can only be satisfied when its FROM activity
+        // can become active. The link rule of the connector tells how many
+        // of these links suffice.
+        // NOTE: For the weighted rule, any satisfiable link is assumed to
+        // suffice, as its aspect values may be large enough.
+        const infeasible = cl.filter(
+            (l) => !possible[l.from_activity.identifier]);
+        if(!infeasible.length) continue;
+        const m = cl.length - infeasible.length;
+        if(!a.linksSatisfy(c, m, cl.length, (m > 0 ? Infinity : 0))) {
+          if(a.link_rules[c].rule === 'all') {
+            return `${circledLetter(c)} requires output of "` +
+                infeasible[0].from_activity.displayName +
+                '", which can never become active';
+          }
+          return `${circledLetter(c)}: ${a.linkRuleDescription(c)}, but ` +
+              (m ? `only ${m} can be` : 'none can be');
+        }
+      }
+      return '';
+    }
+    // Starting with the entry functions, repeatedly add the activities
+    // that can become active when their upstream activities can.
+    // NOTE: Activities that depend on each other via feedback loops
+    // hence can never become active unless some other activity in the
+    // loop can.
+    let changed = true;
+    while(changed) {
+      changed = false;
+      for(let i = 0; i < la.length; i++) {
+        const a = la[i];
+        if(!possible[a.identifier] && !unsatisfied(a)) {
+          possible[a.identifier] = true;
+          changed = true;
+        }
+      }
+    }
+    const pairs = [];
+    for(let i = 0; i < la.length; i++) {
+      if(!possible[la[i].identifier]) pairs.push([la[i], unsatisfied(la[i])]);
+    }
+    return pairs;
+  }
+
+  longestUpstreamChain(act) {
+    // Return the longest list of links that leads to activity `act`,
+    // ordered from upstream to downstream.
+    // NOTE: Feedback loops are not followed, so each activity occurs only
+    // once in the chain.
+    const
+        chains = {},
+        visiting = {};
+    function chain(a) {
+      const id = a.identifier;
+      if(chains[id]) return chains[id];
+      visiting[id] = true;
+      let best = [];
+      for(let c in a.connections) if('CRPIT'.indexOf(c) >= 0) {
+        const cl = a.connections[c];
+        for(let i = 0; i < cl.length; i++) {
+          const fa = cl[i].from_activity;
+          if(!visiting[fa.identifier]) {
+            const fc = chain(fa); // recursion!
+            if(fc.length >= best.length) best = fc.concat([cl[i]]);
+          }
+        }
+      }
+      visiting[id] = false;
+      chains[id] = best;
+      return best;
+    }
+    return chain(act);
+  }
+
   //
   // Methods for loading and saving the model
   //
@@ -1064,6 +1535,12 @@ class diaFRAMModel {
   parseXML(data) {
     // Parse data string into XML tree
 //    try {
+      // NOTE: Models saved in JSON format are recognized by their first
+      // non-blank character.
+      if(data.trim().startsWith('{')) {
+        this.initFromJSON(JSON.parse(data));
+        return true;
+      }
       // NOTE: Convert %23 back to # (escaped by function saveModel)
       const xml = parseXML(data.replace(/%23/g, '#'));
       if(xml.nodeName === 'FM') {
@@ -1093,6 +1570,9 @@ class diaFRAMModel {
         nodeParameterValue(node, 'zoom'), 1);
     this.align_to_grid = nodeParameterValue(node, 'align-to-grid') === '1';
     this.run_length = safeStrToInt(nodeParameterValue(node, 'run-length'), 10);
+    this.random_seed = safeStrToInt(nodeParameterValue(node, 'random-seed'));
+    this.event_driven = nodeParameterValue(node, 'event-driven') === '1';
+    this.swimlanes = nodeParameterValue(node, 'swimlanes') === '1';
     this.name = xmlDecoded(nodeContentByTag(node, 'name'));
     this.author = xmlDecoded(nodeContentByTag(node, 'author'));
     this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
@@ -1129,6 +1609,7 @@ class diaFRAMModel {
     // also aspects.
     // NOTE: This may result in "orphan activities" because sub-activies
     // may be referenced that have not been created yet.
+    const listed = [];
     n = childNodeByTag(node, 'activities');
     if(n && n.childNodes) {
       for(let i = 0; i < n.childNodes.length; i++) {
@@ -1141,11 +1622,20 @@ class diaFRAMModel {
           // NOTE: Top activity will already exist, and then no `initFromHTML`
           // will be executed => initialize it explicitly.
           if(a === this.top_activity) a.initFromXML(c);
+          // Keep track of the codes of all listed sub-activities.
+          const sn = childNodeByTag(c, 'sub-activities');
+          if(sn && sn.childNodes) {
+            for(let j = 0; j < sn.childNodes.length; j++) {
+              const cc = sn.childNodes[j];
+              if(cc.nodeName === 'activity-code') listed.push(nodeContent(cc));
+            }
+          }
         }
       }
     }
     // Special action is needed to re-establish the activity hierarchy.
     this.rescueOrphans();
+    this.reportUnlistedActivities(listed);
     // Now links can be added.
     n = childNodeByTag(node, 'links');
     if(n && n.childNodes) {
@@ -1160,22 +1650,121 @@ class diaFRAMModel {
           if(fa && ta) {
             this.addLink(fa, ta, nodeParameterValue(c, 'connector'), c);
           } else {
-            console.log('ERROR: Failed to add link from', fc, 'to', tc);
+            this.addValidationIssue(fa || ta, 'Link from code "' + fc +
+                '" to code "' + tc + '" refers to an undefined function');
           }
         }
       }
     }
+    // Scenarios refer to aspects and activities, so add them last.
+    n = childNodeByTag(node, 'scenarios');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'scenario') {
+          const s = new Scenario(xmlDecoded(nodeContentByTag(c, 'name')));
+          s.initFromXML(c);
+          this.scenarios.push(s);
+        }
+      }
+    }
     this.focal_activity = this.top_activity;
     // Recompile expressions so that they refer to the correct aspects.
     this.compileExpressions();
+    this.validate();
+  }
+  
+  addValidationIssue(entity, msg) {
+    // Record a problem with model entity `entity` (may be NULL) that was
+    // detected while loading the model.
+    this.validation_issues.push({entity: entity, message: msg});
+  }
+  
+  validate() {
+    // Check the model for problems that are not detected while loading,
+    // and record them as validation issues.
+    // NOTE: Codes must be unique, as they are used to refer to entities.
+    const codes = {};
+    for(let k in this.activities) if(this.activities.hasOwnProperty(k)) {
+      const a = this.activities[k];
+      if(codes.hasOwnProperty(a.code)) {
+        this.addValidationIssue(a, `Function code "${a.code}" is also ` +
+            `used by function "${codes[a.code].displayName}"`);
+      } else {
+        codes[a.code] = a;
+      }
+    }
+    for(let k in this.aspects) if(this.aspects.hasOwnProperty(k)) {
+      const a = this.aspects[k];
+      if(codes.hasOwnProperty(a.code)) {
+        this.addValidationIssue(a, `Aspect code "${a.code}" is also ` +
+            `used by ${codes[a.code].type.toLowerCase()} "` +
+            `${codes[a.code].displayName}"`);
+      } else {
+        codes[a.code] = a;
+      }
+    }
+    // Expressions must compile.
+    const ax = this.allExpressions;
+    for(let i = 0; i < ax.length; i++) {
+      const x = ax[i];
+      if(x.compile_issue) {
+        const
+            obj = x.object,
+            c = (obj instanceof Activity ?
+                obj.aspectOfIncomingExpression(x) : '');
+        let what = 'Expression';
+        if(c) {
+          what = `Incoming ${circledLetter(c)} expression`;
+        } else if(x === obj.duration) {
+          what = 'Duration expression';
+        } else if(obj instanceof Activity) {
+          what = (x === obj.output_variability.timing ? 'Timing' :
+              'Precision') + ' variability expression';
+        }
+        this.addValidationIssue(obj, `${what}: ${x.compile_issue}`);
+      }
+    }
   }
 
+  // The XML representation of a model (.dfram file) has root element
+  // <model> with attributes next-activity-number, next-aspect-number,
+  // zoom, run-length and (optional) random-seed, align-to-grid,
+  // event-driven and swimlanes, and with child elements:
+  //   <name>, <author>, <comments>, <version>, <last-saved>, <grid-pixels>
+  //   <actors> with <actor color="rrggbb"> elements having <name> and
+  //       <comments>
+  //   <aspects> with <aspect code="..."> elements having <name>,
+  //       <comments> and <expression>
+  //   <activities> with <activity code="..."> elements (optional
+  //       attributes background="1|0" and color) having <name>, <owner>
+  //       (actor name), <comments>, <x-coord>, <y-coord>,
+  //       <incoming-expressions> with <incoming-x connection="C|R|P|I|T">
+  //       (optional attributes rule="any|at-least|weighted" and value),
+  //       <output-variability> with <timing> and <precision>, <duration>,
+  //       <sub-activities> with <activity-code>, and <notes> with <note>
+  //       elements having <timestamp>, <contents>, <x-coord>, <y-coord>,
+  //       <width> and <height>
+  //   <links> with <link connector="C|R|P|I|T"> elements having
+  //       <from-code>, <to-code>, <comments>, <aspects> with
+  //       <aspect-code>, and (optional) <bend-points> with <point x="..."
+  //       y="..."> elements
+  //   <scenarios> with <scenario run-length="N"> elements having <name>
+  //       and <overrides> with <override aspect="..."> and <override
+  //       activity="..." connector="C|R|P|I|T"> elements that contain
+  //       the expression text
+  // Codes must be unique, and all codes that are referred to must be
+  // defined; `validate` and the loading methods report violations.
+  
   get asXML() {
     let p = [' next-activity-number="', this.next_activity_number,
         '" next-aspect-number="', this.next_aspect_number,
         '" zoom="', this.last_zoom_factor,
         '" run-length="', this.run_length, '"'].join('');
+    if(this.random_seed) p += ` random-seed="${this.random_seed}"`;
     if(this.align_to_grid) p += ' align-to-grid="1"';
+    if(this.event_driven) p += ' event-driven="1"';
+    if(this.swimlanes) p += ' swimlanes="1"';
     let xml = this.xml_header + ['<model', p, '><name>',  xmlEncoded(this.name),
         '</name><author>', xmlEncoded(this.author),
         '</author><comments>', xmlEncoded(this.comments),
@@ -1201,7 +1790,178 @@ class diaFRAMModel {
     for(let l in this.links) {
       if(this.links.hasOwnProperty(l)) xml += this.links[l].asXML;
     }
-    return xml + '</links></model>';
+    xml += '</links><scenarios>';
+    for(let i = 0; i < this.scenarios.length; i++) {
+      xml += this.scenarios[i].asXML;
+    }
+    return xml + '</scenarios></model>';
+  }
+  
+  // The JSON representation of a model is an object with properties:
+  //   format        "diaFRAM"
+  //   version       diaFRAM version that saved the model
+  //   name, author, comments, last_saved (ISO date-time string)
+  //   settings      {next_activity_number, next_aspect_number, zoom,
+  //                 run_length, random_seed, align_to_grid, grid_pixels,
+  //                 event_driven, swimlanes}
+  //   actors        list of {name, color, comments}
+  //   aspects       list of {code, name, comments, expression}
+  //   activities    list of {code, name, actor, comments, x, y,
+  //                 background (true, false or null), color,
+  //                 incoming_expressions {C, R, P, I, T},
+  //                 link_rules {C, R, P, I, T} (only for rules other than
+  //                 "all"; each {rule, value}),
+  //                 output_variability {timing, precision},
+  //                 duration (expression text),
+  //                 sub_activities (list of activity codes),
+  //                 notes (list of {timestamp, contents, x, y, width,
+  //                 height})}
+  //   links         list of {from, to (activity codes), connector,
+  //                 comments, aspects (list of aspect codes),
+  //                 bend_points (list of [x, y])}
+  //   scenarios     list of {name, run_length, overrides (list of
+  //                 {aspect, expression} and {activity, connector,
+  //                 expression})}
+  // The first activity in the list is the top activity. Expressions are
+  // strings, and entities refer to each other by their code (activities,
+  // aspects) or name (actors), as in the XML format.
+  
+  get asJSON() {
+    // Return the model as a plain object (see above).
+    const
+        lm = this.last_modified,
+        obj = {
+          format: 'diaFRAM',
+          version: DIAFRAM_VERSION,
+          name: this.name,
+          author: this.author,
+          comments: this.comments,
+          last_saved: (isNaN(lm) ? '' : lm.toISOString()),
+          settings: {
+            next_activity_number: this.next_activity_number,
+            next_aspect_number: this.next_aspect_number,
+            zoom: this.last_zoom_factor,
+            run_length: this.run_length,
+            random_seed: this.random_seed,
+            align_to_grid: this.align_to_grid,
+            grid_pixels: this.grid_pixels,
+            event_driven: this.event_driven,
+            swimlanes: this.swimlanes
+          },
+          actors: [],
+          aspects: [],
+          activities: [this.top_activity.asJSON],
+          links: [],
+          scenarios: this.scenarios.map((s) => s.asJSON)
+        };
+    for(let a in this.actors) {
+      // NOTE: do not to save "(no actor)"
+      if(this.actors.hasOwnProperty(a) && a != UI.nameToID(UI.NO_ACTOR)) {
+        obj.actors.push(this.actors[a].asJSON);
+      }
+    }
+    for(let a in this.aspects) {
+      if(this.aspects.hasOwnProperty(a)) obj.aspects.push(this.aspects[a].asJSON);
+    }
+    for(let a in this.activities) {
+      if(this.activities.hasOwnProperty(a) &&
+          this.activities[a] !== this.top_activity) {
+        obj.activities.push(this.activities[a].asJSON);
+      }
+    }
+    for(let l in this.links) {
+      if(this.links.hasOwnProperty(l)) obj.links.push(this.links[l].asJSON);
+    }
+    return obj;
+  }
+  
+  initFromJSON(obj) {
+    // Initialize a model from object `obj` (see above).
+    this.reset();
+    const s = obj.settings || {};
+    this.last_zoom_factor = s.zoom || 1;
+    this.align_to_grid = s.align_to_grid === true;
+    this.run_length = (s.run_length === undefined ? 10 : s.run_length);
+    this.random_seed = s.random_seed || 0;
+    this.event_driven = s.event_driven === true;
+    this.swimlanes = s.swimlanes === true;
+    this.grid_pixels = Math.max(10, s.grid_pixels || 0);
+    this.name = obj.name || '';
+    this.author = obj.author || '';
+    this.comments = obj.comments || '';
+    this.last_modified = new Date(obj.last_saved || '');
+    this.version = obj.version || '';
+    const
+        actors = obj.actors || [],
+        aspects = obj.aspects || [],
+        activities = obj.activities || [],
+        links = obj.links || [];
+    for(let i = 0; i < actors.length; i++) {
+      this.addActor(actors[i].name).initFromJSON(actors[i]);
+    }
+    for(let i = 0; i < aspects.length; i++) {
+      // NOTE: As for XML, aspects initially belong to no link.
+      const a = this.addAspect(aspects[i].name);
+      if(a) a.initFromJSON(aspects[i]);
+    }
+    // NOTE: The top activity already exists.
+    if(activities.length) this.top_activity.initFromJSON(activities[0]);
+    for(let i = 1; i < activities.length; i++) {
+      const
+          o = activities[i],
+          a = this.addActivity(o.name, o.actor || '');
+      if(a) a.initFromJSON(o);
+    }
+    // Only when all activities exist, the hierarchy can be established.
+    const listed = [];
+    for(let i = 0; i < activities.length; i++) {
+      const
+          pa = this.activityByCode(activities[i].code),
+          sa = activities[i].sub_activities || [];
+      listed.push(...sa);
+      for(let j = 0; pa && j < sa.length; j++) {
+        const a = this.activityByCode(sa[j]);
+        if(a) {
+          a.setParent(pa);
+        } else {
+          this.addValidationIssue(pa,
+              `Sub-function code "${sa[j]}" refers to an undefined function`);
+        }
+      }
+    }
+    this.reportUnlistedActivities(listed);
+    for(let i = 0; i < links.length; i++) {
+      const
+          o = links[i],
+          fa = this.activityByCode(o.from),
+          ta = this.activityByCode(o.to);
+      if(fa && ta) {
+        this.addLink(fa, ta, o.connector).initFromJSON(o);
+      } else {
+        this.addValidationIssue(fa || ta, 'Link from code "' + o.from +
+            '" to code "' + o.to + '" refers to an undefined function');
+      }
+    }
+    const scenarios = obj.scenarios || [];
+    for(let i = 0; i < scenarios.length; i++) {
+      const sc = new Scenario(scenarios[i].name || '');
+      sc.initFromJSON(scenarios[i]);
+      this.scenarios.push(sc);
+    }
+    // NOTE: Set the code numbers last, as adding entities increments them.
+    // When not specified, new activity codes should follow the highest
+    // loaded code, so that they cannot collide with existing codes.
+    let max_acode = 0;
+    for(let k in this.activities) if(this.activities.hasOwnProperty(k)) {
+      max_acode = Math.max(max_acode,
+          safeStrToInt(this.activities[k].code, 0));
+    }
+    this.next_activity_number = s.next_activity_number || max_acode + 1;
+    this.next_aspect_number = s.next_aspect_number || 0;
+    this.focal_activity = this.top_activity;
+    // Recompile expressions so that they refer to the correct aspects.
+    this.compileExpressions();
+    this.validate();
   }
   
   rescueOrphans() {
@@ -1210,7 +1970,26 @@ class diaFRAMModel {
       const
           o = this.orphan_list[i],
           a = this.activityByCode(o.subact);
-      if(a instanceof Activity) a.setParent(o.parent);
+      if(a instanceof Activity) {
+        a.setParent(o.parent);
+      } else {
+        this.addValidationIssue(o.parent,
+            `Sub-function code "${o.subact}" refers to an undefined function`);
+      }
+    }
+  }
+  
+  reportUnlistedActivities(codes) {
+    // Record an issue for each activity (except the top activity) having
+    // a code that is not in list `codes` of sub-activity codes. As no
+    // activity lists these activities as sub-activity, they have been
+    // added to the top activity.
+    for(let k in this.activities) if(this.activities.hasOwnProperty(k)) {
+      const a = this.activities[k];
+      if(a !== this.top_activity && codes.indexOf(a.code) < 0) {
+        this.addValidationIssue(a, `Function code "${a.code}" is not ` +
+            'listed as sub-function, so it has been added to the top level');
+      }
     }
   }
   
@@ -1220,6 +1999,28 @@ class diaFRAMModel {
     // Ensure that top activity has code "0", as all N FMV functions have
     // ID number 0, ..., N-1 to which 1 will be added.
     this.top_activity.code = '0';
+    // Keep track of what has been converted, and of FMV data that has no
+    // counterpart in diaFRAM, so that this can be reported.
+    const
+        report = {functions: 0, background: 0, colored: 0, groups: 0,
+            aspects: 0, descriptions: 0, links: 0},
+        unmapped = [];
+    function checkUnmapped(what, c, attrs, tags) {
+      // Add attributes and child elements of node `c` that are not in the
+      // lists `attrs` and `tags` to the unmapped data.
+      for(let i = 0; i < c.attributes.length; i++) {
+        const a = c.attributes[i];
+        if(attrs.indexOf(a.name) < 0) {
+          unmapped.push(`${what}: ${a.name} = "${a.value}"`);
+        }
+      }
+      for(let i = 0; i < c.childNodes.length; i++) {
+        const cc = c.childNodes[i];
+        if(cc.nodeType === 1 && tags.indexOf(cc.nodeName) < 0) {
+          unmapped.push(`${what}: ${cc.nodeName} = "${cc.textContent}"`);
+        }
+      }
+    }
     // Create all activities.
     let max_acode = 1,
         n = childNodeByTag(node, 'Functions');
@@ -1237,9 +2038,37 @@ class diaFRAMModel {
             max_acode = Math.max(max_acode, acode);
             a.code = acode.toString();
             const desc = nodeContentByTag(c, 'Description');
-            if(desc !== 'null') a.comments = desc;
+            if(desc && desc !== 'null') {
+              a.comments = desc;
+              report.descriptions++;
+            }
             a.x = safeStrToFloat(nodeParameterValue(c, 'x'));
             a.y = safeStrToFloat(nodeParameterValue(c, 'y'));
+            // FMV explicitly marks functions as background functions,
+            // whereas diaFRAM infers this from the links of a function.
+            const fs = nodeParameterValue(c, 'fnStyle');
+            if(fs) {
+              a.background = fs !== '0';
+              if(a.background) report.background++;
+            }
+            // FMV function colors are specified either as attribute, or
+            // as fill color in the style attribute.
+            let clr = nodeParameterValue(c, 'color');
+            if(!clr) {
+              const m = nodeParameterValue(c, 'style').match(
+                  /fillColor[^#]*(#[0-9a-fA-F]{6})/);
+              if(m) clr = m[1];
+            }
+            if(/^#[0-9a-fA-F]{6}$/.test(clr)) {
+              a.color = clr.toLowerCase();
+              report.colored++;
+            } else if(clr) {
+              unmapped.push(`Function "${name}": color = "${clr}"`);
+            }
+            checkUnmapped(`Function "${name}"`, c,
+                ['x', 'y', 'fnStyle', 'color', 'style'],
+                ['IDNr', 'IDName', 'Description']);
+            report.functions++;
           }
         }
       }
@@ -1256,6 +2085,7 @@ class diaFRAMModel {
               pa = this.activityByCode(code),
               subs = nodeContentByTag(c, 'CHILD').split('|');
           if(pa) {
+            report.groups++;
             // Create a "container" activity having the name of the
             // parent activity suffixed by a black hexagon.
             const ca = this.addActivity(pa.name + '\u2B23', UI.NO_ACTOR);
@@ -1303,8 +2133,21 @@ class diaFRAMModel {
             if(asp) {
               asp.setCode();
               asp.resize();
-              if(desc && desc !== 'null') asp.comments = desc;
-              corpits[tag][asp.identifier] = act;
+              // NOTE: FMV aspects are defined per function, so the same
+              // aspect may have different descriptions. These are all
+              // kept (but only once).
+              if(desc && desc !== 'null' &&
+                  asp.comments.split('\n\n').indexOf(desc) < 0) {
+                asp.comments += (asp.comments ? '\n\n' : '') + desc;
+                report.descriptions++;
+              }
+              // NOTE: The same aspect may occur for several functions,
+              // so keep a list of functions per aspect.
+              const id = asp.identifier;
+              if(!corpits[tag][id]) corpits[tag][id] = [];
+              if(act) addDistinct(act, corpits[tag][id]);
+              checkUnmapped(`${tag} "${name}"`, c, [],
+                  ['FunctionIDNr', 'IDName', 'Description']);
             }            
           }
         }
@@ -1315,22 +2158,166 @@ class diaFRAMModel {
     // incoming aspect. Do this by iterating only over the outputs (so
     // orphan incoming aspects will be ignored).
     for(let k in corpits.Output) if(corpits.Output.hasOwnProperty(k)) {
-      const fa = corpits.Output[k];
+      const fal = corpits.Output[k];
       for(let i = 0; i < tags.length; i++) if(tags[i] !== 'Output') {
-        const ta = corpits[tags[i]][k];
-        if(ta) {
-          const
-              c = tags[i].charAt(0),
-              l = this.addLink(fa, ta, c),
-              a = this.aspects[k];
-          // Add aspect (if indeed defined) to link (if indeed created).
-          if(l && a) addDistinct(a, l.aspects);
+        const tal = corpits[tags[i]][k] || [];
+        for(let j = 0; j < fal.length; j++) {
+          for(let l = 0; l < tal.length; l++) {
+            const
+                c = tags[i].charAt(0),
+                lnk = this.addLink(fal[j], tal[l], c),
+                a = this.aspects[k];
+            // Add aspect (if indeed defined) to link (if indeed created).
+            if(lnk && a) {
+              addDistinct(a, lnk.aspects);
+              report.links++;
+            }
+          }
         }
       }
     }
+    // Incoming aspects that are not the output of some function do
+    // not couple functions.
+    for(let i = 0; i < tags.length; i++) if(tags[i] !== 'Output') {
+      const cp = corpits[tags[i]];
+      for(let k in cp) if(cp.hasOwnProperty(k) && !corpits.Output[k]) {
+        const names = cp[k].map((a) => `"${a.name}"`).join(', ') || '"?"';
+        unmapped.push(`${tags[i]} "${this.aspects[k].displayName}" of ` +
+            `${cp[k].length > 1 ? 'functions' : 'function'} ${names} ` +
+            '(no matching output)');
+      }
+    }
+    report.aspects = Object.keys(this.aspects).length;
+    // Also check for other FMV data.
+    const known = ['Functions', 'Groups'];
+    for(let i = 0; i < tags.length; i++) known.push(tags[i] + 's');
+    checkUnmapped('Model', node, [], known);
+    // Add the import report to the model comments.
+    const lines = ['Imported from FRAM Model Visualiser file on ' +
+        dateToString(new Date()) + ':',
+        '- ' + pluralS(report.functions, 'function') +
+            ` (${report.background} background, ${report.colored} colored)`,
+        '- ' + pluralS(report.groups, 'function group'),
+        '- ' + pluralS(report.aspects, 'aspect') + ' coupling functions via ' +
+            pluralS(report.links, 'link'),
+        '- ' + pluralS(report.descriptions, 'description')];
+    if(unmapped.length) {
+      lines.push('', 'Not converted:');
+      for(let i = 0; i < unmapped.length; i++) {
+        lines.push('- ' + unmapped[i]);
+      }
+    }
+    this.comments = lines.join('\n');
+    this.fmv_import_report = {converted: report, unmapped: unmapped};
     this.focal_activity = this.top_activity;
   }
-  
+
+  get asFMV() {
+    // Return the model as FRAM Model Visualizer XML string.
+    // NOTE: FMV has no function hierarchy, so only the "leaf" functions
+    // are exported, numbered 0, ..., N-1 in the order of their codes.
+    const
+        la = this.top_activity.leafActivities.sort(
+            (a, b) => safeStrToInt(a.code) - safeStrToInt(b.code)),
+        fnr = {},
+        xml = ['<?xml version="1.0" encoding="UTF-8"?><FM><Functions>'],
+        desc = (s) => (s.trim() ? xmlEncoded(s) : 'null');
+    for(let i = 0; i < la.length; i++) {
+      const a = la[i];
+      fnr[a.code] = i;
+      // NOTE: Only write function style and color when set explicitly.
+      let p = '';
+      if(a.background !== null) p += ` fnStyle="${a.background ? 1 : 0}"`;
+      if(a.color) p += ` color="${a.color}"`;
+      xml.push('<Function x="', a.x, '" y="', a.y, '"', p, '><IDNr>', i,
+          '</IDNr><IDName>', xmlEncoded(a.name),
+          '</IDName><Description>', desc(a.comments),
+          '</Description></Function>');
+    }
+    xml.push('</Functions>');
+    // FMV infers couplings from aspects that have the same name, so each
+    // aspect on a link is an output of its FROM function, and an incoming
+    // aspect of its TO function.
+    const
+        corpits = {C: [], O: [], R: [], P: [], I: [], T: []},
+        added = {};
+    function addAspect(c, f, name, comments) {
+      // Add aspect only once per connector and function.
+      const key = [c, f, name].join('|');
+      if(added[key]) return;
+      added[key] = true;
+      corpits[c].push(['<FunctionIDNr>', f, '</FunctionIDNr><IDName>',
+          xmlEncoded(name), '</IDName><Description>', desc(comments),
+          '</Description>'].join(''));
+    }
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      const
+          l = this.links[k],
+          ff = fnr[l.from_activity.code],
+          tf = fnr[l.to_activity.code];
+      // NOTE: Links to or from functions that are not exported are ignored.
+      if(ff === undefined || tf === undefined) continue;
+      if(l.aspects.length) {
+        for(let i = 0; i < l.aspects.length; i++) {
+          const a = l.aspects[i];
+          addAspect('O', ff, a.name, a.comments);
+          addAspect(l.to_connector, tf, a.name, a.comments);
+        }
+      } else {
+        // A link without aspects is coupled by the output of its FROM
+        // function that is named after this function.
+        const name = l.from_activity.name + ' (output)';
+        addAspect('O', ff, name, '');
+        addAspect(l.to_connector, tf, name, '');
+      }
+    }
+    for(let c in corpits) if(corpits.hasOwnProperty(c)) {
+      const tag = UI.aspect_type[c];
+      xml.push(`<${tag}s>`);
+      for(let i = 0; i < corpits[c].length; i++) {
+        xml.push(`<${tag}>`, corpits[c][i], `</${tag}>`);
+      }
+      xml.push(`</${tag}s>`);
+    }
+    xml.push('</FM>');
+    return xml.join('');
+  }
+
+  get fmvExportLosses() {
+    // Return a list of the diaFRAM-only data in this model that will be
+    // lost when it is exported to FMV.
+    const
+        losses = [],
+        acts = Object.values(this.activities),
+        groups = acts.filter(
+            (a) => a !== this.top_activity && !a.isLeaf).length,
+        agents = acts.filter((a) => a.hasActor).length,
+        notes = this.top_activity.allNotes.length;
+    let xcount = 0,
+        unnamed = 0,
+        ignored = 0;
+    const ax = this.allExpressions;
+    for(let i = 0; i < ax.length; i++) if(ax[i].defined) xcount++;
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      const l = this.links[k];
+      if(!(l.from_activity.isLeaf && l.to_activity.isLeaf)) {
+        ignored++;
+      } else if(!l.aspects.length) {
+        unnamed++;
+      }
+    }
+    if(groups) losses.push('sub-function hierarchy (' +
+        pluralS(groups, 'function') + ' with sub-functions)');
+    if(agents) losses.push('agents of ' + pluralS(agents, 'function'));
+    if(xcount) losses.push(pluralS(xcount, 'expression'));
+    if(notes) losses.push(pluralS(notes, 'note'));
+    if(ignored) losses.push(pluralS(ignored, 'link') +
+        ' to or from functions with sub-functions');
+    if(unnamed) losses.push(pluralS(unnamed, 'link') +
+        ' without aspects (coupled by a generic output instead)');
+    return losses;
+  }
+
   get listOfAllComments() {
     const sl = [];
     sl.push('_____MODEL: ' + this.name);
@@ -1393,6 +2380,11 @@ class diaFRAMModel {
           ix = this.activities[k].incoming_expressions,
           ic = Object.keys(ix);
       for(let i = 0; i < ic.length; i++) xl.push(ix[ic[i]]);
+      // Activities may also have output variability expressions...
+      const ov = this.activities[k].output_variability;
+      xl.push(ov.timing, ov.precision);
+      // ... and a duration expression.
+      xl.push(this.activities[k].duration);
     }
     return xl;
   }
@@ -1413,6 +2405,9 @@ class diaFRAMModel {
       for(let c in s) if(s.hasOwnProperty(c)) {
         this.cleanVector(s[c], VM.UNDEFINED);
       }
+      this.cleanVector(a.phenotype.timing, VM.UNDEFINED);
+      this.cleanVector(a.phenotype.precision, VM.UNDEFINED);
+      this.cleanVector(a.ready_time, VM.UNDEFINED);
       a.active_since = -1;
     }
   }
@@ -1471,7 +2466,16 @@ class Actor {
   
   initFromXML(node) {
     this.color = '#' + (nodeParameterValue(node, 'color') || 'ffffff');
-    this.comments = nodeContentByTag(node, 'documentation');
+    this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
+  }
+  
+  get asJSON() {
+    return {name: this.name, color: this.color, comments: this.comments};
+  }
+  
+  initFromJSON(obj) {
+    this.color = obj.color || '#ffffff';
+    this.comments = obj.comments || '';
   }
   
   rename(name) {
@@ -1601,6 +2605,21 @@ class Note extends ObjectWithXYWH {
     this.height = safeStrToInt(nodeContentByTag(node, 'height'));
   }
 
+  get asJSON() {
+    return {timestamp: this.timestamp, contents: this.contents,
+        x: this.x, y: this.y, width: this.width, height: this.height};
+  }
+  
+  initFromJSON(obj) {
+    this.timestamp = obj.timestamp ||
+        Math.floor((1 + Math.random()) * 1E12);
+    this.contents = obj.contents || '';
+    this.x = obj.x || 0;
+    this.y = obj.y || 0;
+    this.width = obj.width || 0;
+    this.height = obj.height || 0;
+  }
+
   setParent(pa) {
     // Place this note into the specified activity `pa`.
     if(this.parent) {
@@ -1867,6 +2886,15 @@ class Aspect extends NodeBox {
     return VM.UNDEFINED;
   }
 
+  get constantValue() {
+    // Return the number if the expression of this aspect is a numeric
+    // constant, and otherwise NaN.
+    // NOTE: A sign that follows a digit is an operator, not part of the
+    // number, so "2-1" is not a constant.
+    const s = this.expression.text.trim();
+    return (/\d[+\-]/.test(s) ? NaN : safeStrToFloat(s, NaN));
+  }
+
   setCode() {
     // Aspects are assigned a unique number code for shorthand display of links.
     if(!this.code) {
@@ -1889,8 +2917,22 @@ class Aspect extends NodeBox {
     this.expression.text = xmlDecoded(nodeContentByTag(node, 'expression'));
   }
   
+  get asJSON() {
+    return {code: this.code, name: this.name, comments: this.comments,
+        expression: this.expression.text};
+  }
+  
+  initFromJSON(obj) {
+    this.code = obj.code;
+    this.resize();
+    this.comments = obj.comments || '';
+    this.expression.text = obj.expression || '';
+  }
+  
   get isTimeAspect() {
     // Return TRUE if this aspect occurs only on links that relate to Time.
+    // NOTE: Aspects imported from FMV may not be output of any activity.
+    if(!this.parent) return false;
     const ol = this.parent.connections.O;
     for(let i = 0; i < ol.length; i++) {
       if(ol[i].to_connector !== 'T' && ol[i].aspects.indexOf(this) >= 0) {
@@ -1954,6 +2996,9 @@ class Activity extends NodeBox {
     this.connections = {};
     // Connections hold optional expressions per CRPIT aspect type.
     this.incoming_expressions = {};
+    // Per CRPIT aspect type, a rule specifies how the incoming links are
+    // combined (see method `linksSatisfy`).
+    this.link_rules = {};
     this.notes = [];
     this.predecessors = [];
     // The state of an activity comprises one vector per aspect type.
@@ -1964,8 +3009,31 @@ class Activity extends NodeBox {
       this.state[c] = [];
       if(c !== 'O') {
         this.incoming_expressions[c] = new Expression(this, '');
+        this.link_rules[c] = {rule: 'all', value: 0};
       }
     }
+    // Output variability is specified by two (optional) expressions that
+    // compute the timing and precision phenotype codes (see VM).
+    this.output_variability = {
+        timing: new Expression(this, ''),
+        precision: new Expression(this, '')
+      };
+    // The phenotypes are computed for each cycle ("tick") in which the
+    // activity is active.
+    this.phenotype = {timing: [], precision: []};
+    // The (optional) duration expression computes how long (in clock time
+    // hours) it takes the activity to produce its output once activated.
+    // By default, the output is available in the next cycle.
+    this.duration = new Expression(this, '');
+    // For each cycle in which the activity is active, the clock time at
+    // which its output becomes available downstream.
+    this.ready_time = [];
+    // By default, whether an activity is a background function is
+    // inferred from its links, but this can be set explicitly (e.g., by
+    // FMV import) to TRUE or FALSE.
+    this.background = null;
+    // An optional fill color (hexadecimal) for the hexagon.
+    this.color = '';
     // To visualize the time since last activation, the green rim color
     // of activities turns gradually more black.
     this.active_since = -1;
@@ -1989,6 +3057,10 @@ class Activity extends NodeBox {
        extra = `<span class="extra">(${pluralS(this.leafActivities.length,
             'function')})</span>`;
     }
+    if(this.isActive(MODEL.t)) {
+      const pn = this.phenotypeNames(MODEL.t);
+      if(pn) extra += `<span class="extra">(output ${pn})</span>`;
+    }
     return `<em>Function:</em> ${this.displayName}${extra}`;
   }
 
@@ -2009,8 +3081,9 @@ class Activity extends NodeBox {
   
   get isBackground() {
     // Return TRUE when this activity does not have at least one incoming
-    // link and at least one output link.
+    // link and at least one output link, unless set explicitly.
     if(this.sub_activities.length) return false;
+    if(this.background !== null) return this.background;
     const l = this.countLinksInOut;
     return !l.incoming || !l.outgoing;
   }
@@ -2095,7 +3168,12 @@ class Activity extends NodeBox {
   }
 
   get asXML() {
-    const xml = ['<activity code="', this.code, '">',
+    let p = ` code="${this.code}"`;
+    if(this.background !== null) {
+      p += ` background="${this.background ? 1 : 0}"`;
+    }
+    if(this.color) p += ` color="${this.color}"`;
+    const xml = ['<activity', p, '>',
         '<name>',  xmlEncoded(this.name),
         '</name><owner>', xmlEncoded(this.actor.name),
         '</owner><comments>', xmlEncoded(this.comments),
@@ -2103,11 +3181,21 @@ class Activity extends NodeBox {
         '</x-coord><y-coord>', this.y,
         '</y-coord><incoming-expressions>'];
     for(let c in this.connections) if('CRPIT'.indexOf(c) >= 0) {
-      xml.push('<incoming-x connection="', c, '">',
+      const lr = this.link_rules[c];
+      // NOTE: The default rule "all" is not saved.
+      xml.push('<incoming-x connection="', c, '"',
+          (lr.rule === 'all' ? '' :
+              ` rule="${lr.rule}" value="${lr.value}"`), '>',
           xmlEncoded(this.incoming_expressions[c].text),
           '</incoming-x>');
     }
-    xml.push('</incoming-expressions><sub-activities>');
+    xml.push('</incoming-expressions><output-variability><timing>',
+        xmlEncoded(this.output_variability.timing.text),
+        '</timing><precision>',
+        xmlEncoded(this.output_variability.precision.text),
+        '</precision></output-variability><duration>',
+        xmlEncoded(this.duration.text),
+        '</duration><sub-activities>');
     for(let i = 0; i < this.sub_activities.length; i++) {
       xml.push(`<activity-code>${this.sub_activities[i].code}</activity-code>`);
     }
@@ -2121,6 +3209,9 @@ class Activity extends NodeBox {
 
   initFromXML(node) {
     this.code = nodeParameterValue(node, 'code');
+    const bg = nodeParameterValue(node, 'background');
+    this.background = (bg ? bg === '1' : null);
+    this.color = nodeParameterValue(node, 'color');
     this.resize();
     this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
     this.x = safeStrToInt(nodeContentByTag(node, 'x-coord'));
@@ -2134,9 +3225,19 @@ class Activity extends NodeBox {
               con = nodeParameterValue(c, 'connection'),
               txt = xmlDecoded(nodeContent(c));
           this.incoming_expressions[con].text = txt;
+          this.setLinkRule(con, nodeParameterValue(c, 'rule'),
+              safeStrToFloat(nodeParameterValue(c, 'value')));
         }
       }
     }
+    n = childNodeByTag(node, 'output-variability');
+    if(n) {
+      this.output_variability.timing.text =
+          xmlDecoded(nodeContentByTag(n, 'timing'));
+      this.output_variability.precision.text =
+          xmlDecoded(nodeContentByTag(n, 'precision'));
+    }
+    this.duration.text = xmlDecoded(nodeContentByTag(node, 'duration'));
     n = childNodeByTag(node, 'sub-activities');
     if(n && n.childNodes) {
       for(let i = 0; i < n.childNodes.length; i++) {
@@ -2170,6 +3271,64 @@ class Activity extends NodeBox {
     }
   }
   
+  get asJSON() {
+    const obj = {code: this.code, name: this.name, actor: this.actor.name,
+        comments: this.comments, x: this.x, y: this.y,
+        background: this.background, color: this.color,
+        incoming_expressions: {},
+        output_variability: {
+          timing: this.output_variability.timing.text,
+          precision: this.output_variability.precision.text
+        },
+        duration: this.duration.text,
+        link_rules: {},
+        sub_activities: this.sub_activities.map((a) => a.code),
+        notes: this.notes.map((n) => n.asJSON)};
+    for(let c in this.incoming_expressions) {
+      if(this.incoming_expressions.hasOwnProperty(c)) {
+        obj.incoming_expressions[c] = this.incoming_expressions[c].text;
+        const lr = this.link_rules[c];
+        if(lr.rule !== 'all') {
+          obj.link_rules[c] = {rule: lr.rule, value: lr.value};
+        }
+      }
+    }
+    return obj;
+  }
+  
+  initFromJSON(obj) {
+    // NOTE: Sub-activities are set by the model, as these may not have
+    // been created yet.
+    this.code = obj.code;
+    this.background = (typeof obj.background === 'boolean' ?
+        obj.background : null);
+    this.color = obj.color || '';
+    this.resize();
+    this.comments = obj.comments || '';
+    this.x = obj.x || 0;
+    this.y = obj.y || 0;
+    const
+        ix = obj.incoming_expressions || {},
+        lrs = obj.link_rules || {},
+        ov = obj.output_variability || {},
+        nl = obj.notes || [];
+    for(let c in this.incoming_expressions) {
+      if(this.incoming_expressions.hasOwnProperty(c)) {
+        this.incoming_expressions[c].text = ix[c] || '';
+        const lr = lrs[c] || {};
+        this.setLinkRule(c, lr.rule, lr.value || 0);
+      }
+    }
+    this.output_variability.timing.text = ov.timing || '';
+    this.output_variability.precision.text = ov.precision || '';
+    this.duration.text = obj.duration || '';
+    for(let i = 0; i < nl.length; i++) {
+      const note = new Note(this);
+      note.initFromJSON(nl[i]);
+      this.notes.push(note);
+    }
+  }
+  
   setParent(pa) {
     // Place this activity into the specified parent activity `pa`.
     // NOTE: An activity must be part of exactly ONE parent activity.
@@ -2204,20 +3363,156 @@ class Activity extends NodeBox {
   incomingAspects(connector) {
     // Return list of all aspects for this activity that are incoming
     // via `connector`.
-    const
-        ia = [],
-        cc = this.connections[connector];
-    for(let i = 0; i < cc.length; i++) {
-      const la = cc[i].aspects;
-      for(let j = 0; j < la.length; j++) {
-        addDistinct(la[j], ia);
+    // NOTE: `connector` may be a string of aspect letters, e.g., 'CRPIT'.
+    const ia = [];
+    for(let c = 0; c < connector.length; c++) {
+      const cc = this.connections[connector.charAt(c)] || [];
+      for(let i = 0; i < cc.length; i++) {
+        const la = cc[i].aspects;
+        for(let j = 0; j < la.length; j++) {
+          addDistinct(la[j], ia);
+        }
       }
     }
     return ia;
   }
   
-  aspectOfIncomingExpression(x) {
-    // Return the aspect letter if `x` is an incoming expression of this
+  upstreamPhenotype(kind, t, connectors) {
+    // Return the most severe `kind` (timing or precision) phenotype at
+    // tick t-1 of the activities that are active and linked to this
+    // activity via (one of) the `connectors`, or "undefined" if none.
+    // NOTE: For timing, omitted (2) is more severe than too late (1),
+    // which is more severe than too early (-1).
+    let p = VM.UNDEFINED;
+    if(t <= 0) return p;
+    for(let c = 0; c < connectors.length; c++) {
+      const cc = this.connections[connectors.charAt(c)] || [];
+      for(let i = 0; i < cc.length; i++) {
+        const fa = cc[i].from_activity;
+        if(fa.state.O[t - 1] === 1) {
+          const fp = fa.phenotype[kind][t - 1];
+          if(fp > VM.ERROR && fp < VM.EXCEPTION && (p >= VM.EXCEPTION ||
+              Math.abs(fp) > Math.abs(p) ||
+              (Math.abs(fp) === Math.abs(p) && fp > p))) p = fp;
+        }
+      }
+    }
+    return p;
+  }
+  
+  outputPhenotype(kind, t) {
+    // Return the `kind` (timing or precision) phenotype of the output of
+    // this activity for tick t. When no output variability expression
+    // is defined, or when its result is exceptional, the output is
+    // nominal (on time, precise).
+    const x = this.output_variability[kind];
+    if(!x.defined) return 0;
+    const r = x.result(t);
+    if(r <= VM.ERROR || r >= VM.EXCEPTION) return 0;
+    return Math.max(kind === 'timing' ? -1 : 0, Math.min(2, Math.round(r)));
+  }
+  
+  readyTime(t) {
+    // Return the clock time at which the output of this activity becomes
+    // available when it is activated in tick t. When no duration is
+    // defined, this is the current clock time. Otherwise, the duration
+    // is added, and the VM is told to advance its clock to this point in
+    // time.
+    const ct = MODEL.clock_time[t];
+    if(!this.duration.defined) return ct;
+    const d = this.duration.result(t);
+    if(d <= VM.ERROR || d >= VM.EXCEPTION) {
+      VM.logMessage(t, `${VM.WARNING}Duration of ${this.displayName} ` +
+          `is ${VM.sig4Dig(d)}, so its output is available immediately`);
+      return ct;
+    }
+    // NOTE: Negative durations are interpreted as 0.
+    if(d <= VM.NEAR_ZERO) return ct;
+    const rt = ct + d;
+    VM.event_queue.add(rt, this);
+    return rt;
+  }
+  
+  get dynamics() {
+    // Return how the state of this activity may change even when the
+    // state of its upstream activities does not change, i.e., the highest
+    // dependency (see VM method `dependency`) of its incoming expressions,
+    // of its output variability expressions, and of the aspects on each
+    // of its incoming links (only for links having dynamic aspects).
+    const
+        ix = this.incoming_expressions,
+        ov = this.output_variability,
+        d = {incoming: 0, variability: 0, links: []};
+    for(let k in ix) if(ix.hasOwnProperty(k)) {
+      d.incoming = Math.max(d.incoming, VM.dependency(ix[k]));
+      const cl = this.connections[k];
+      for(let i = 0; i < cl.length; i++) {
+        const al = cl[i].aspects;
+        let ld = 0;
+        for(let j = 0; j < al.length; j++) {
+          ld = Math.max(ld, VM.dependency(al[j].expression));
+        }
+        if(ld) d.links.push({link: cl[i], dependency: ld});
+      }
+    }
+    for(let k in ov) if(ov.hasOwnProperty(k)) {
+      d.variability = Math.max(d.variability, VM.dependency(ov[k]));
+    }
+    return d;
+  }
+  
+  outputChanged(t) {
+    // Return TRUE if the output of this activity in tick t differs from
+    // that in tick t-1, as then the downstream activities may change state.
+    const s = this.state.O;
+    return t === 0 || s[t] !== s[t - 1] ||
+        this.phenotype.timing[t] !== this.phenotype.timing[t - 1];
+  }
+  
+  copyState(t) {
+    // Make the state of this activity in tick t identical to that in
+    // tick t-1. The VM does this in event-driven mode when the state of
+    // this activity cannot have changed.
+    const s = this.state;
+    for(let k in s) if(s.hasOwnProperty(k)) s[k][t] = s[k][t - 1];
+    this.phenotype.timing[t] = this.phenotype.timing[t - 1];
+    this.phenotype.precision[t] = this.phenotype.precision[t - 1];
+    this.ready_time[t] = this.ready_time[t - 1];
+  }
+  
+  outputReady(t) {
+    // Return TRUE if the output that this activity produced in tick t-1
+    // is available in tick t, i.e., when the clock time has reached the
+    // point in time where the duration of this activity has elapsed.
+    return t > 0 && this.ready_time[t - 1] <=
+        MODEL.clock_time[t] + VM.NEAR_ZERO;
+  }
+  
+  outputDelivered(t) {
+    // Return TRUE if this activity delivers output to its downstream
+    // activities in tick t, i.e., when it was active in tick t-1, and its
+    // output is neither omitted nor still in the making.
+    return this.state.O[t - 1] === 1 &&
+        this.phenotype.timing[t - 1] !== VM.OMITTED && this.outputReady(t);
+  }
+  
+  phenotypeNames(t) {
+    // Return the non-nominal phenotypes of the output at tick t as a
+    // comma-separated string (empty if on time and precise).
+    const
+        pt = this.phenotype,
+        tp = pt.timing[t],
+        pp = pt.precision[t],
+        names = [];
+    if(tp && VM.TIMING_PHENOTYPES[tp]) names.push(VM.TIMING_PHENOTYPES[tp]);
+    if(pp && VM.PRECISION_PHENOTYPES[pp]) {
+      names.push(VM.PRECISION_PHENOTYPES[pp]);
+    }
+    return names.join(', ');
+  }
+  
+  aspectOfIncomingExpression(x) {
+    // Return the aspect letter if `x` is an incoming expression of this
     // activity, or otherwise an empty string.
     for(let k in this.incoming_expressions) {
       if(this.incoming_expressions.hasOwnProperty(k) &&
@@ -2265,6 +3560,16 @@ class Activity extends NodeBox {
       if(cs !== ps) changes.push(
           `${UI.aspect_type[k]} ${VM.sig4Dig(ps)} \u2192 ${VM.sig4Dig(cs)}`);
     }
+    // Report variability of the output (if any) when active.
+    if(this.state.O[t] === 1) {
+      const pn = this.phenotypeNames(t);
+      if(pn) changes.push(`(${pn})`);
+      // Also report when the output will be available, if later.
+      const rt = this.ready_time[t];
+      if(rt > MODEL.clock_time[t]) {
+        changes.push(`(output at ${UI.clockTime(rt)})`);
+      }
+    }
     return changes.join(', ');
   }
 
@@ -2327,6 +3632,31 @@ class Activity extends NodeBox {
     return la;    
   }
 
+  get actorLanes() {
+    // Return a list of [actor, list of sub-activities] pairs: one for each
+    // actor of the sub-activities of this activity, sorted by actor name,
+    // followed by a separate lane for sub-activities without actor.
+    const
+        lanes = [],
+        na = [];
+    for(let i = 0; i < this.sub_activities.length; i++) {
+      const sa = this.sub_activities[i];
+      if(!sa.hasActor) {
+        na.push(sa);
+      } else {
+        const l = lanes.find((l) => l[0] === sa.actor);
+        if(l) {
+          l[1].push(sa);
+        } else {
+          lanes.push([sa.actor, [sa]]);
+        }
+      }
+    }
+    lanes.sort((a, b) => a[0].name.localeCompare(b[0].name));
+    if(na.length) lanes.push([MODEL.actors[UI.nameToID(UI.NO_ACTOR)], na]);
+    return lanes;
+  }
+
   get relatedLinks() {
     const
         aa = this.allActivities,
@@ -2518,6 +3848,12 @@ class Activity extends NodeBox {
     this.x = a.x;
     this.y = a.y;
     this.comments = a.comments;
+    this.background = a.background;
+    this.color = a.color;
+    this.output_variability.timing.text = a.output_variability.timing.text;
+    this.output_variability.precision.text =
+        a.output_variability.precision.text;
+    this.duration.text = a.duration.text;
   }
 
   deleteNote(n) {
@@ -2552,6 +3888,61 @@ class Activity extends NodeBox {
     return nn;
   }
   
+  setLinkRule(c, rule, value=0) {
+    // Set the rule for combining the incoming links on connector `c`.
+    // NOTE: Unknown rules default to "all".
+    if(['any', 'at-least', 'weighted'].indexOf(rule) < 0) {
+      rule = 'all';
+      value = 0;
+    } else if(rule === 'any') {
+      value = 0;
+    }
+    this.link_rules[c] = {rule: rule, value: value};
+  }
+  
+  linkRuleSymbol(c) {
+    // Return a short notation of the link rule for connector `c` to be
+    // displayed next to the connector, or an empty string for the default
+    // rule "all".
+    const lr = this.link_rules[c];
+    if(lr.rule === 'any') return 'any';
+    if(lr.rule === 'at-least') return '\u2265' + lr.value;
+    if(lr.rule === 'weighted') return '\u03A3\u2265' + VM.sig4Dig(lr.value);
+    return '';
+  }
+  
+  linkRuleDescription(c) {
+    // Return the link rule for connector `c` as a phrase.
+    const
+        lr = this.link_rules[c],
+        n = this.connections[c].length;
+    if(lr.rule === 'any') {
+      return 'at least one incoming link must be satisfied';
+    }
+    if(lr.rule === 'at-least') {
+      return `at least ${lr.value} of ${n} incoming links must be satisfied`;
+    }
+    if(lr.rule === 'weighted') {
+      return 'the aspect values of satisfied incoming links must add up ' +
+          `to at least ${VM.sig4Dig(lr.value)}`;
+    }
+    return (n > 1 ? `all ${n} incoming links must be satisfied` :
+        'the incoming link must be satisfied');
+  }
+  
+  linksSatisfy(c, m, n, w) {
+    // Return TRUE if, according to the link rule for connector `c`, the
+    // incoming links satisfy this connector when `m` of its `n` incoming
+    // links are satisfied, and the aspect values of these satisfied links
+    // add up to `w`.
+    // NOTE: For the weighted rule, the aspect values serve as weights.
+    const lr = this.link_rules[c];
+    if(lr.rule === 'any') return m > 0;
+    if(lr.rule === 'at-least') return m >= lr.value;
+    if(lr.rule === 'weighted') return w >= lr.value;
+    return m === n;
+  }
+  
   updateState(t) {
     // Determine whether this activity is "active" in the current cycle
     // ("tick" t).
@@ -2574,10 +3965,13 @@ class Activity extends NodeBox {
         // NOTE: Entry functions by default satisfy all aspects.
         s[k][t] = (entry ? 1 : 0);
         if(t > 0) {
-          // When multiple links are incoming for this function aspect, they must
-          // *all* "satisfy" by having at least one TRUE associated aspect value.
+          // When multiple links are incoming for this function aspect, by
+          // default they must *all* "satisfy" by having at least one TRUE
+          // associated aspect value, but the link rule for this aspect may
+          // specify otherwise.
           const n = this.connections[k].length;
-          let allset = true;
+          let m = 0,
+              w = 0;
           for(let i = 0; i < n; i++) {
             const
                 l = this.connections[k][i],
@@ -2585,7 +3979,9 @@ class Activity extends NodeBox {
             // When the FROM activity is active, calculate all aspects on
             // this link, and assume that one non-zero result (TRUE) suffices
             // to "satisfy" this incoming link.
-            if(fa.state.O[t - 1] === 1) {
+            // NOTE: An omitted output never satisfies an incoming link,
+            // nor does output that is still in the making.
+            if(fa.outputDelivered(t)) {
               let cset = 0;
               for(let j = 0; j < l.aspects.length; j++) {
                 // NOTE: Aspects are calculated for "tick" t, not t-1.
@@ -2598,16 +3994,20 @@ class Activity extends NodeBox {
                 // has been reached.
                 cset += (r > VM.ERROR && r < VM.EXCEPTION ? r : 0);
               }
-              allset = allset && cset > 0;
-            } else {
-              // FROM activity not active => this incoming link not satisfied.
-              allset = false;
+              if(cset > 0) {
+                m++;
+                w += cset;
+              }
             }
+            // NOTE: When the FROM activity is not active (or its output is
+            // omitted or not ready yet), this incoming link is not
+            // satisfied.
           }
-          // The state for CRPT is TRUE if all links are "satisfied" even
-          // when there are no incoming links. For I, there *must* be at
-          // least one incoming link or this must be an "entry" activity.
-          if(allset && (k !== 'I' || n > 0 || this.isEntry)) s[k][t] = 1;
+          // The state for CRPT is TRUE when there are no incoming links.
+          // For I, there *must* be at least one incoming link or this must
+          // be an "entry" activity.
+          if(n > 0 ? this.linksSatisfy(k, m, n, w) :
+              k !== 'I' || this.isEntry) s[k][t] = 1;
         }
       }
     }
@@ -2617,9 +4017,78 @@ class Activity extends NodeBox {
     } else {
       s.O[t] = 0;
     }
+    // When active, determine the variability of the output, and when
+    // the output will be available. While the activity remains active,
+    // this point in time does not change.
+    const pt = this.phenotype;
+    if(s.O[t] === 1) {
+      pt.timing[t] = this.outputPhenotype('timing', t);
+      pt.precision[t] = this.outputPhenotype('precision', t);
+      this.ready_time[t] = (t > 0 && s.O[t - 1] === 1 ?
+          this.ready_time[t - 1] : this.readyTime(t));
+    } else {
+      pt.timing[t] = VM.UNDEFINED;
+      pt.precision[t] = VM.UNDEFINED;
+      this.ready_time[t] = VM.UNDEFINED;
+    }
     return this.stateChanged(t);
   }
 
+  explainState(t) {
+    // Return an explanation of the state of this activity in cycle `t` as
+    // plain data. This follows the logic of `updateState`, but only reads
+    // the values that were computed while running the model.
+    const
+        s = this.state,
+        ix = this.incoming_expressions,
+        e = {active: s.O[t] === 1, entry: this.isEntry, connectors: []};
+    for(let i = 0; i < 5; i++) {
+      const
+          k = 'CRPIT'.charAt(i),
+          c = {connector: k, satisfied: !!s[k][t], reason: '',
+              expression: ix[k].text, value: VM.UNDEFINED, links: []};
+      if(c.expression) c.value = VM.computedValue(ix[k], t);
+      // NOTE: An incoming expression having an exceptional value does not
+      // prevent the default rules from being applied.
+      if(c.expression && c.value < VM.EXCEPTION) {
+        c.reason = 'expression';
+      } else if(e.entry) {
+        c.reason = 'entry';
+      } else if(t === 0) {
+        c.reason = 'first cycle';
+      } else if(!this.connections[k].length) {
+        c.reason = 'no links';
+      } else {
+        c.reason = 'links';
+        c.rule = this.linkRuleDescription(k);
+        for(let j = 0; j < this.connections[k].length; j++) {
+          const
+              l = this.connections[k][j],
+              fa = l.from_activity,
+              le = {link: l, from: fa, active: fa.state.O[t - 1] === 1,
+                  omitted: fa.phenotype.timing[t - 1] === VM.OMITTED,
+                  ready: fa.outputReady(t), ready_time: fa.ready_time[t - 1],
+                  aspects: [], satisfied: false};
+          if(le.active && !le.omitted && le.ready) {
+            let cset = 0;
+            for(let n = 0; n < l.aspects.length; n++) {
+              const
+                  x = l.aspects[n].expression,
+                  r = (x.defined ? VM.computedValue(x, t) : 1);
+              le.aspects.push({aspect: l.aspects[n], value: r,
+                  defined: x.defined});
+              cset += (r > VM.ERROR && r < VM.EXCEPTION ? r : 0);
+            }
+            le.satisfied = cset > 0;
+          }
+          c.links.push(le);
+        }
+      }
+      e.connectors.push(c);
+    }
+    return e;
+  }
+
 } // END of class Activity
 
 
@@ -2631,6 +4100,9 @@ class Link {
     this.to_activity = to_a;
     this.to_connector = to_c;
     this.aspects = [];
+    // Bend points are {x, y} positions in the diagram through which the
+    // modeler routes this link.
+    this.bend_points = [];
     // other properties are used for drawing, editing, etc.
     this.from_x = 0;
     this.from_y = 0;
@@ -2680,7 +4152,19 @@ class Link {
       '</from-code><to-code>', ta.code,
       '</to-code><comments>', xmlEncoded(this.comments),
       '</comments><aspects>', asp.join(''),
-      '</aspects></link>'].join('');
+      '</aspects>', this.bendPointsAsXML, '</link>'].join('');
+  }
+  
+  get bendPointsAsXML() {
+    // Return the bend points of this link as XML (if any).
+    if(!this.bend_points.length) return '';
+    const xml = ['<bend-points>'];
+    for(let i = 0; i < this.bend_points.length; i++) {
+      const bp = this.bend_points[i];
+      xml.push(`<point x="${bp.x}" y="${bp.y}"></point>`);
+    }
+    xml.push('</bend-points>');
+    return xml.join('');
   }
 
   initFromXML(node) {
@@ -2702,17 +4186,102 @@ class Link {
             // on multiple links).
             this.aspects.push(a);
           } else {
-            console.log('ERROR: Faild to add aspect', ac, 'to link',
-                this.displayName);
+            MODEL.addValidationIssue(this,
+                `Aspect code "${ac}" refers to an undefined aspect`);
           }
         }
       }
     }
+    this.bend_points.length = 0;
+    n = childNodeByTag(node, 'bend-points');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'point') {
+          this.bend_points.push({
+              x: safeStrToInt(nodeParameterValue(c, 'x')),
+              y: safeStrToInt(nodeParameterValue(c, 'y'))});
+        }
+      }
+    }
+  }
+  
+  get asJSON() {
+    return {from: this.from_activity.code, to: this.to_activity.code,
+        connector: this.to_connector, comments: this.comments,
+        aspects: this.aspects.map((a) => a.code),
+        bend_points: this.bend_points.map((bp) => [bp.x, bp.y])};
+  }
+  
+  initFromJSON(obj) {
+    this.comments = obj.comments || '';
+    const ac = obj.aspects || [];
+    for(let i = 0; i < ac.length; i++) {
+      const a = MODEL.aspectByCode(ac[i]);
+      if(a) {
+        // As for XML, the FROM node is the "parent" of the link aspects.
+        a.parent = this.from_activity;
+        this.aspects.push(a);
+      } else {
+        MODEL.addValidationIssue(this,
+            `Aspect code "${ac[i]}" refers to an undefined aspect`);
+      }
+    }
+    const bpl = obj.bend_points || [];
+    this.bend_points = bpl.map((bp) => ({x: bp[0], y: bp[1]}));
   }
 
   copyPropertiesFrom(l) {
     // Set properties to be identical to those of link `l`
     this.comments = l.comments;
+    this.bend_points = l.bend_points.map((bp) => ({x: bp.x, y: bp.y}));
+  }
+  
+  sameRouteAs(l) {
+    // Return TRUE if this link has the same bend points as link `l`.
+    const bpl = l.bend_points;
+    return this.bend_points.length === bpl.length &&
+        this.bend_points.every((bp, i) => bp.x === bpl[i].x && bp.y === bpl[i].y);
+  }
+  
+  moveBendPoints(dx, dy) {
+    // Move all bend points of this link by (dx, dy) pixels.
+    for(let i = 0; i < this.bend_points.length; i++) {
+      this.bend_points[i].x += dx;
+      this.bend_points[i].y += dy;
+    }
+  }
+  
+  addBendPoint(x, y) {
+    // Insert a bend point at (x, y) in the segment of this link that is
+    // nearest to this point, and return its index in the list.
+    const
+        fa = this.from_activity,
+        ta = this.to_activity,
+        pts = [{x: fa.x, y: fa.y}].concat(this.bend_points,
+            [{x: ta.x, y: ta.y}]),
+        // Local function that returns the distance between (x, y) and
+        // the line segment from `p` to `q`.
+        distance = (p, q) => {
+            const
+                dx = q.x - p.x,
+                dy = q.y - p.y,
+                l2 = dx * dx + dy * dy,
+                f = (l2 ? Math.max(0, Math.min(1,
+                    ((x - p.x) * dx + (y - p.y) * dy) / l2)) : 0);
+            return Math.hypot(x - p.x - f * dx, y - p.y - f * dy);
+          };
+    let index = 0,
+        dmin = VM.PLUS_INFINITY;
+    for(let i = 1; i < pts.length; i++) {
+      const d = distance(pts[i - 1], pts[i]);
+      if(d < dmin) {
+        dmin = d;
+        index = i - 1;
+      }
+    }
+    this.bend_points.splice(index, 0, {x: x, y: y});
+    return index;
   }
   
   get visibleNodes() {
@@ -2782,3 +4351,783 @@ class Link {
   
 } // END of class Link
 
+
+
+// CLASS OutcomeSample
+class OutcomeSample {
+  // An outcome sample collects the values of one outcome (e.g., the
+  // number of activations of a function) over the runs of a batch.
+  constructor(entity, outcome) {
+    this.entity = entity;
+    this.outcome = outcome;
+    this.values = [];
+  }
+  
+  get displayName() {
+    return `${this.entity.displayName} (${this.outcome})`;
+  }
+  
+  add(v) {
+    // Add value `v` to the sample, ignoring exceptional values.
+    if(v > VM.MINUS_INFINITY && v < VM.PLUS_INFINITY) this.values.push(v);
+  }
+  
+  statistic(stat) {
+    // Return the value of the outcome statistic `stat` (see VM) for this
+    // sample.
+    const
+        v = this.values,
+        n = v.length;
+    if(stat === 'N') return n;
+    if(stat === 'NZ') {
+      let nz = 0;
+      for(let i = 0; i < n; i++) if(Math.abs(v[i]) > VM.NEAR_ZERO) nz++;
+      return nz;
+    }
+    let sum = 0;
+    for(let i = 0; i < n; i++) sum += v[i];
+    if(stat === 'SUM') return sum;
+    // All other statistics are undefined for an empty sample.
+    if(n === 0) return VM.UNDEFINED;
+    if(stat === 'LAST') return v[n - 1];
+    if(stat === 'MIN') return Math.min(...v);
+    if(stat === 'MAX') return Math.max(...v);
+    const mean = sum / n;
+    if(stat === 'MEAN') return mean;
+    let sumsq = 0;
+    for(let i = 0; i < n; i++) sumsq += Math.pow(v[i] - mean, 2);
+    if(stat === 'VAR') return sumsq / n;
+    if(stat === 'SD') return Math.sqrt(sumsq / n);
+    // Fall-through: unknown statistic.
+    return VM.UNDEFINED;
+  }
+  
+} // END of class OutcomeSample
+
+
+// CLASS BatchRun
+class BatchRun {
+  // A batch run repeats the simulation of the current model a number of
+  // times. As the random operators produce different values in each run,
+  // the outcomes of the runs are samples from their distribution. For
+  // each function, the number of activations and the cycle of its first
+  // activation are recorded; for each aspect, its values in all cycles.
+  constructor(runs) {
+    this.runs = Math.max(1, Math.floor(runs));
+    this.completed = 0;
+    // The seeds of the runs are recorded so that each run can be reproduced.
+    this.seeds = [];
+    this.outcomes = [];
+    // NOTE: The outcome samples are added in display order.
+    const la = MODEL.top_activity.leafActivities.sort(
+        (a, b) => ciCompare(a.displayName, b.displayName));
+    this.activations = {};
+    this.first_activation = {};
+    for(let i = 0; i < la.length; i++) {
+      const
+          a = la[i],
+          os = new OutcomeSample(a, 'activations'),
+          fa = new OutcomeSample(a, 'first activation');
+      this.activations[a.code] = os;
+      this.first_activation[a.code] = fa;
+      this.outcomes.push(os, fa);
+    }
+    this.aspect_values = {};
+    const al = Object.values(MODEL.aspects).sort(
+        (a, b) => ciCompare(a.displayName, b.displayName));
+    for(let i = 0; i < al.length; i++) {
+      const os = new OutcomeSample(al[i], 'value');
+      this.aspect_values[al[i].code] = os;
+      this.outcomes.push(os);
+    }
+  }
+  
+  get done() {
+    return this.completed >= this.runs;
+  }
+  
+  get nextSeed() {
+    // Return the seed for the next run. When the model has a random seed,
+    // the runs use consecutive seeds starting at this seed, so that the
+    // batch as a whole is reproducible. Otherwise, return 0 to have the
+    // VM generate a new seed.
+    if(!MODEL.random_seed) return 0;
+    return (MODEL.random_seed + this.completed) >>> 0;
+  }
+  
+  addRun(res) {
+    // Add the outcomes of run results `res` (see VM.results) to the samples.
+    for(let k in res.activities) if(res.activities.hasOwnProperty(k)) {
+      const
+          os = this.activations[k],
+          fa = this.first_activation[k];
+      if(!os) continue;
+      const [n, first] = VM.countActivations(res.activities[k].state.O);
+      os.add(n);
+      // NOTE: Runs in which the function is never activated do not add
+      // to the first activation sample, so its N statistic tells in how
+      // many runs the function was activated.
+      if(first >= 0) fa.add(first);
+    }
+    for(let k in res.aspects) if(res.aspects.hasOwnProperty(k)) {
+      const os = this.aspect_values[k];
+      if(!os) continue;
+      const v = res.aspects[k].values;
+      for(let t = 1; t < v.length; t++) os.add(v[t]);
+    }
+    this.seeds.push(res.seed);
+    this.completed++;
+  }
+  
+  get summary() {
+    // Return the outcome statistics as plain data that can be serialized
+    // as JSON.
+    const
+        stats = VM.outcome_statistics,
+        s = {model: MODEL.name, runs: this.completed,
+            seeds: this.seeds.slice(), outcomes: []};
+    for(let i = 0; i < this.outcomes.length; i++) {
+      const
+          os = this.outcomes[i],
+          o = {type: os.entity.type, code: os.entity.code,
+              name: os.entity.displayName, outcome: os.outcome};
+      for(let j = 0; j < stats.length; j++) {
+        o[stats[j]] = os.statistic(stats[j]);
+      }
+      s.outcomes.push(o);
+    }
+    return s;
+  }
+  
+  get asCSV() {
+    // Return the outcome statistics as comma-separated values.
+    const
+        stats = VM.outcome_statistics,
+        csv = ['Type,Name,Outcome,' + stats.join(',')],
+        q = (s) => '"' + s.replace(/"/g, '""') + '"';
+    for(let i = 0; i < this.outcomes.length; i++) {
+      const
+          os = this.outcomes[i],
+          row = [os.entity.type, q(os.entity.displayName), os.outcome];
+      for(let j = 0; j < stats.length; j++) {
+        const v = os.statistic(stats[j]);
+        // NOTE: Undefined statistics are left empty.
+        row.push(v < VM.EXCEPTION ? v : '');
+      }
+      csv.push(row.join(','));
+    }
+    return csv.join('\n');
+  }
+  
+} // END of class BatchRun
+
+
+// CLASS Scenario
+// A scenario is a named set of expression overrides that answers a "what
+// if" question: each override replaces the expression of an aspect, or an
+// incoming expression of an activity, by another expression while the
+// scenario is run. A scenario may also have its own run length.
+class Scenario {
+  constructor(name) {
+    this.name = name;
+    // NOTE: Run length 0 means that the model run length applies.
+    this.run_length = 0;
+    // Overrides are objects {entity, connector, text}, where `connector`
+    // is the CRPIT letter for activities, and empty for aspects.
+    this.overrides = [];
+  }
+  
+  get type() {
+    return 'Scenario';
+  }
+  
+  get displayName() {
+    return this.name;
+  }
+  
+  get runLength() {
+    return this.run_length || MODEL.run_length;
+  }
+  
+  expressionOf(ov) {
+    // Return the expression that is overridden by override `ov`.
+    if(ov.entity instanceof Aspect) return ov.entity.expression;
+    return ov.entity.incoming_expressions[ov.connector];
+  }
+  
+  overrideName(ov) {
+    // Return the name of the expression that is overridden by `ov`.
+    if(ov.entity instanceof Aspect) return ov.entity.displayName;
+    return ov.entity.displayName + ' ' + circledLetter(ov.connector);
+  }
+  
+  addOverride(entity, connector='') {
+    // Add an override for the expression of `entity` (if not added yet),
+    // initially with the current expression, and return it.
+    if(entity instanceof Aspect) connector = '';
+    let ov = this.overrides.find(
+        (o) => o.entity === entity && o.connector === connector);
+    if(!ov) {
+      ov = {entity: entity, connector: connector, text: ''};
+      ov.text = this.expressionOf(ov).text;
+      this.overrides.push(ov);
+    }
+    return ov;
+  }
+  
+  removeObsoleteOverrides() {
+    // Remove overrides of entities that have been deleted from the model.
+    for(let i = this.overrides.length - 1; i >= 0; i--) {
+      const e = this.overrides[i].entity;
+      if(MODEL.activities[e.identifier] !== e &&
+          MODEL.aspects[e.identifier] !== e) this.overrides.splice(i, 1);
+    }
+  }
+  
+  apply() {
+    // Replace the overridden expressions, and return the list of their
+    // original texts so that these can be restored.
+    this.removeObsoleteOverrides();
+    const org = [];
+    for(let i = 0; i < this.overrides.length; i++) {
+      const x = this.expressionOf(this.overrides[i]);
+      org.push(x.text);
+      x.text = this.overrides[i].text;
+    }
+    return org;
+  }
+  
+  restore(org) {
+    // Restore the original texts of the overridden expressions.
+    for(let i = 0; i < this.overrides.length; i++) {
+      this.expressionOf(this.overrides[i]).text = org[i];
+    }
+  }
+  
+  get asXML() {
+    const xml = ['<scenario run-length="', this.run_length, '"><name>',
+        xmlEncoded(this.name), '</name><overrides>'];
+    for(let i = 0; i < this.overrides.length; i++) {
+      const ov = this.overrides[i];
+      if(ov.entity instanceof Aspect) {
+        xml.push('<override aspect="', ov.entity.code, '">');
+      } else {
+        xml.push('<override activity="', ov.entity.code,
+            '" connector="', ov.connector, '">');
+      }
+      xml.push(xmlEncoded(ov.text), '</override>');
+    }
+    xml.push('</overrides></scenario>');
+    return xml.join('');
+  }
+  
+  initFromXML(node) {
+    this.run_length = safeStrToInt(nodeParameterValue(node, 'run-length'));
+    const n = childNodeByTag(node, 'overrides');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'override') {
+          this.initOverride(nodeParameterValue(c, 'aspect'),
+              nodeParameterValue(c, 'activity'),
+              nodeParameterValue(c, 'connector'),
+              xmlDecoded(nodeContent(c)));
+        }
+      }
+    }
+  }
+  
+  get asJSON() {
+    const obj = {name: this.name, run_length: this.run_length,
+        overrides: []};
+    for(let i = 0; i < this.overrides.length; i++) {
+      const ov = this.overrides[i];
+      if(ov.entity instanceof Aspect) {
+        obj.overrides.push({aspect: ov.entity.code, expression: ov.text});
+      } else {
+        obj.overrides.push({activity: ov.entity.code,
+            connector: ov.connector, expression: ov.text});
+      }
+    }
+    return obj;
+  }
+  
+  initFromJSON(obj) {
+    this.run_length = obj.run_length || 0;
+    const ol = obj.overrides || [];
+    for(let i = 0; i < ol.length; i++) {
+      this.initOverride(ol[i].aspect, ol[i].activity, ol[i].connector,
+          ol[i].expression || '');
+    }
+  }
+  
+  initOverride(aspect_code, activity_code, connector, text) {
+    // Add an override as read from file.
+    const e = (aspect_code ? MODEL.aspectByCode(aspect_code) :
+        MODEL.activityByCode(activity_code));
+    if(e && (aspect_code || 'CRPIT'.indexOf(connector) >= 0)) {
+      this.addOverride(e, connector || '').text = text;
+    } else {
+      MODEL.addValidationIssue(null, `Scenario "${this.name}" overrides ` +
+          'the expression of an undefined ' +
+          (aspect_code ? 'aspect' : 'function'));
+    }
+  }
+  
+} // END of class Scenario
+
+
+// CLASS Experiment
+// An experiment runs the model for each of its scenarios, and then for the
+// model as is (the baseline), and records for each function how often it
+// is activated in each run. All runs use the same random seed, so that
+// differences are due to the scenarios rather than to chance.
+class Experiment {
+  constructor(scenarios) {
+    this.scenarios = scenarios.slice();
+    this.seed = MODEL.random_seed;
+    // Activation counts per function code for each scenario; the baseline
+    // counts are stored separately.
+    this.activations = [];
+    this.baseline = null;
+    // NOTE: Functions are listed in display order.
+    this.functions = MODEL.top_activity.leafActivities.sort(
+        (a, b) => ciCompare(a.displayName, b.displayName));
+  }
+  
+  get completed() {
+    return this.activations.length + (this.baseline ? 1 : 0);
+  }
+  
+  get done() {
+    return this.baseline !== null;
+  }
+  
+  runNext() {
+    // Perform the next run of this experiment (if any).
+    if(this.done) return;
+    const
+        rl = MODEL.run_length,
+        s = this.scenarios[this.activations.length];
+    let org = null,
+        res;
+    // NOTE: The baseline is run last, so that the diagram will show its
+    // results when the experiment has been completed.
+    if(s) org = s.apply();
+    try {
+      res = VM.run(s ? s.runLength : rl, this.seed);
+    } finally {
+      // NOTE: A failed run must not leave the overrides in place.
+      if(s) s.restore(org);
+    }
+    // All subsequent runs use the seed of the first run.
+    this.seed = res.seed;
+    if(s) {
+      this.activations.push(this.activationCounts(res));
+    } else {
+      this.baseline = this.activationCounts(res);
+    }
+  }
+  
+  activationCounts(res) {
+    // Return the number of activations per function in run results `res`
+    // (see VM.results), counted as for batch runs.
+    const counts = {};
+    for(let k in res.activities) if(res.activities.hasOwnProperty(k)) {
+      counts[k] = VM.countActivations(res.activities[k].state.O)[0];
+    }
+    return counts;
+  }
+  
+} // END of class Experiment
+
+
+// CLASS SensitivitySweep
+// A sensitivity sweep runs the model for a range of values of an aspect
+// that is a numeric constant (a parameter), and records for the exit
+// functions of interest the cycle of their first activation and their
+// number of activations. All runs use the same random seed, so that the
+// outcomes vary with the parameter value only.
+class SensitivitySweep {
+  constructor(aspect, from, to, steps, exits) {
+    this.aspect = aspect;
+    this.steps = Math.max(0, Math.floor(steps));
+    this.values = [];
+    for(let i = 0; i <= this.steps; i++) {
+      const v = (this.steps ? from + i * (to - from) / this.steps : from);
+      // NOTE: Rounding avoids values like 0.30000000000000004.
+      this.values.push(parseFloat(v.toPrecision(10)));
+    }
+    this.exits = exits.slice();
+    this.seed = MODEL.random_seed;
+    // Outcome vectors (one value per parameter value) per function code.
+    // NOTE: The first activation is undefined when a function is never
+    // activated.
+    this.first_activation = {};
+    this.activations = {};
+    for(let i = 0; i < this.exits.length; i++) {
+      this.first_activation[this.exits[i].code] = [];
+      this.activations[this.exits[i].code] = [];
+    }
+    this.completed = 0;
+  }
+  
+  get runs() {
+    return this.values.length;
+  }
+  
+  get done() {
+    return this.completed >= this.values.length;
+  }
+  
+  runNext() {
+    // Run the model for the next parameter value (if any).
+    if(this.done) return;
+    const
+        x = this.aspect.expression,
+        org = x.text;
+    x.text = this.values[this.completed].toString();
+    let res;
+    try {
+      res = VM.run(0, this.seed);
+    } finally {
+      // NOTE: A failed run must not leave the parameter value in place,
+      // and the expression must be compiled again, as otherwise it still
+      // computes the swept value.
+      x.text = org;
+      x.reset();
+    }
+    // All subsequent runs use the seed of the first run.
+    this.seed = res.seed;
+    for(let i = 0; i < this.exits.length; i++) {
+      const
+          code = this.exits[i].code,
+          ra = res.activities[code],
+          [n, first] = VM.countActivations(ra ? ra.state.O : []);
+      this.activations[code].push(n);
+      this.first_activation[code].push(first < 0 ? VM.UNDEFINED : first);
+    }
+    this.completed++;
+  }
+  
+  get asTSV() {
+    // Return the outcomes as tab-separated text, with one row per
+    // parameter value.
+    const
+        num = (n) => UI.tsvNumber(n),
+        hdr = [this.aspect.displayName];
+    for(let i = 0; i < this.exits.length; i++) {
+      const n = this.exits[i].displayName;
+      hdr.push(`${n} (first activation)`, `${n} (activations)`);
+    }
+    const lines = [hdr.join('\t')];
+    for(let j = 0; j < this.completed; j++) {
+      const row = [num(this.values[j])];
+      for(let i = 0; i < this.exits.length; i++) {
+        const code = this.exits[i].code;
+        row.push(num(this.first_activation[code][j]),
+            this.activations[code][j]);
+      }
+      lines.push(row.join('\t'));
+    }
+    return lines.join('\n');
+  }
+  
+} // END of class SensitivitySweep
+
+
+// CLASS ModelDiff
+// A model diff compares the current model with another model (typically a
+// copy of the same model edited by another analyst), and lists the changes
+// that would make the current model more like the other model. Activities
+// and aspects are matched by their code, links by their identifier (which
+// is based on activity codes), and actors by their name.
+class ModelDiff {
+  constructor(xml) {
+    // NOTE: While being initialized, model entities refer to the global
+    // MODEL, so this must temporarily be the other model (and NULL while
+    // creating it, or the current model would issue the code for its top
+    // activity).
+    const m = MODEL;
+    MODEL = null;
+    try {
+      this.other = new diaFRAMModel();
+      MODEL = this.other;
+      this.other.parseXML(xml);
+    } finally {
+      MODEL = m;
+    }
+    this.changes = [];
+    this.compare();
+  }
+  
+  addChange(type, action, obj, other, details=[]) {
+    // Add a change of `action` on entity `obj` in the current model that
+    // corresponds to entity `other` in the other model.
+    const
+        e = obj || other,
+        q = (s) => `"${s}"`;
+    let text = `${action} ${type.toLowerCase()} ${q(e.displayName)}`;
+    if(action === 'renamed') {
+      text += ` to ${q(other.displayName)}`;
+    } else if(action === 'moved') {
+      text += ` to ${q(other.parent.displayName)}`;
+    } else if(details.length) {
+      text += ` (${details.join(', ')})`;
+    }
+    this.changes.push({type: type, action: action, entity: obj,
+        other: other, text: text});
+  }
+  
+  matchingActivity(a, m) {
+    // Return the activity in model `m` that matches activity `a`.
+    // NOTE: Top activities always match, but are not matched by code, as
+    // their code may equal that of some other activity.
+    if(!a.parent) return m.top_activity;
+    for(let k in m.activities) if(m.activities.hasOwnProperty(k)) {
+      const ma = m.activities[k];
+      if(ma.parent && ma.code === a.code) return ma;
+    }
+    return null;
+  }
+  
+  compare() {
+    // Compile the list of changes.
+    const
+        om = this.other,
+        ccm = (a, b) => a.code === b.code;
+    this.changes.length = 0;
+    // Actors are matched by name.
+    for(let k in om.actors) if(om.actors.hasOwnProperty(k)) {
+      const
+          oa = om.actors[k],
+          a = MODEL.actorByID(k);
+      if(!a) {
+        this.addChange('Actor', 'added', null, oa);
+      } else if(a.color !== oa.color) {
+        this.addChange('Actor', 'changed', a, oa, ['color']);
+      }
+    }
+    for(let k in MODEL.actors) if(MODEL.actors.hasOwnProperty(k)) {
+      if(!om.actorByID(k)) {
+        this.addChange('Actor', 'removed', MODEL.actors[k], null);
+      }
+    }
+    // Activities are matched by code.
+    for(let k in om.activities) if(om.activities.hasOwnProperty(k)) {
+      const oa = om.activities[k];
+      // NOTE: The top activity is always the same.
+      if(!oa.parent) continue;
+      const a = this.matchingActivity(oa, MODEL);
+      if(!a) {
+        this.addChange('Activity', 'added', null, oa);
+        continue;
+      }
+      if(a.identifier !== oa.identifier) {
+        this.addChange('Activity', 'renamed', a, oa);
+      }
+      if(a.parent !== this.matchingActivity(oa.parent, MODEL)) {
+        this.addChange('Activity', 'moved', a, oa);
+      }
+      const d = [];
+      if(a.comments !== oa.comments) d.push('comments');
+      if(a.x !== oa.x || a.y !== oa.y) d.push('position');
+      for(let i = 0; i < 5; i++) {
+        const c = 'CRPIT'.charAt(i);
+        if(a.incoming_expressions[c].text !==
+            oa.incoming_expressions[c].text) {
+          d.push(circledLetter(c) + ' expression');
+        }
+        if(a.link_rules[c].rule !== oa.link_rules[c].rule ||
+            a.link_rules[c].value !== oa.link_rules[c].value) {
+          d.push(circledLetter(c) + ' link rule');
+        }
+      }
+      for(let v in a.output_variability) {
+        if(a.output_variability[v].text !== oa.output_variability[v].text) {
+          d.push(v + ' variability');
+        }
+      }
+      if(a.duration.text !== oa.duration.text) d.push('duration');
+      if(a.background !== oa.background) d.push('background');
+      if(a.color !== oa.color) d.push('color');
+      if(d.length) this.addChange('Activity', 'changed', a, oa, d);
+    }
+    for(let k in MODEL.activities) if(MODEL.activities.hasOwnProperty(k)) {
+      const a = MODEL.activities[k];
+      if(a.parent && !this.matchingActivity(a, om)) {
+        this.addChange('Activity', 'removed', a, null);
+      }
+    }
+    // Aspects are also matched by code.
+    for(let k in om.aspects) if(om.aspects.hasOwnProperty(k)) {
+      const
+          oa = om.aspects[k],
+          a = MODEL.aspectByCode(oa.code);
+      if(!a) {
+        this.addChange('Aspect', 'added', null, oa);
+        continue;
+      }
+      if(a.name !== oa.name) this.addChange('Aspect', 'renamed', a, oa);
+      const d = [];
+      if(a.comments !== oa.comments) d.push('comments');
+      if(a.expression.text !== oa.expression.text) d.push('expression');
+      if(d.length) this.addChange('Aspect', 'changed', a, oa, d);
+    }
+    for(let k in MODEL.aspects) if(MODEL.aspects.hasOwnProperty(k)) {
+      if(!om.aspectByCode(MODEL.aspects[k].code)) {
+        this.addChange('Aspect', 'removed', MODEL.aspects[k], null);
+      }
+    }
+    // Links are matched by identifier.
+    for(let k in om.links) if(om.links.hasOwnProperty(k)) {
+      const
+          ol = om.links[k],
+          l = MODEL.linkByID(k);
+      if(!l) {
+        this.addChange('Link', 'added', null, ol);
+        continue;
+      }
+      const d = [];
+      if(l.comments !== ol.comments) d.push('comments');
+      if(!l.sameRouteAs(ol)) d.push('route');
+      if(l.aspects.length !== ol.aspects.length ||
+          l.aspects.some((a) => !ol.aspects.find((oa) => ccm(a, oa)))) {
+        d.push('aspects');
+      }
+      if(d.length) this.addChange('Link', 'changed', l, ol, d);
+    }
+    for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+      if(!om.linkByID(k)) this.addChange('Link', 'removed', MODEL.links[k], null);
+    }
+  }
+  
+  accept(change) {
+    // Apply `change` to the current model. Return TRUE if successful.
+    // NOTE: The calling routine should push a "merge" edit onto the undo
+    // stack *before* calling this method.
+    const
+        e = change.entity,
+        o = change.other,
+        act = change.action;
+    let ok = true;
+    if(change.type === 'Actor') {
+      if(act === 'added') {
+        MODEL.addActor(o.name).color = o.color;
+      } else if(act === 'changed') {
+        e.color = o.color;
+      } else if(e.leafCount) {
+        UI.warn(`Actor "${e.name}" still has functions`);
+        ok = false;
+      } else {
+        delete MODEL.actors[e.identifier];
+      }
+    } else if(change.type === 'Activity') {
+      ok = this.acceptActivityChange(change);
+    } else if(change.type === 'Aspect') {
+      if(act === 'added') {
+        const n = parseXML(o.asXML);
+        ok = MODEL.addAspect(o.name, null, n) !== null;
+      } else if(act === 'renamed') {
+        ok = e.rename(o.name) === true;
+      } else if(act === 'changed') {
+        e.comments = o.comments;
+        e.expression.text = o.expression.text;
+      } else {
+        // Remove the aspect from all links before removing it.
+        for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+          const
+              l = MODEL.links[k],
+              i = l.aspects.indexOf(e);
+          if(i >= 0) l.aspects.splice(i, 1);
+        }
+        delete MODEL.aspects[e.identifier];
+      }
+    } else if(change.type === 'Link') {
+      if(act === 'removed') {
+        MODEL.deleteLink(e);
+        return true;
+      }
+      // The aspects of the link must exist in the current model.
+      const
+          fa = this.matchingActivity(o.from_activity, MODEL),
+          ta = this.matchingActivity(o.to_activity, MODEL),
+          asp = [];
+      for(let i = 0; i < o.aspects.length; i++) {
+        const a = MODEL.aspectByCode(o.aspects[i].code);
+        if(a) asp.push(a);
+      }
+      if(!fa || !ta) {
+        UI.warn('Both functions must exist before adding this link');
+        return false;
+      }
+      if(asp.length < o.aspects.length) {
+        UI.warn('All aspects must exist before adding them to this link');
+        return false;
+      }
+      const l = e || MODEL.addLink(fa, ta, o.to_connector);
+      l.copyPropertiesFrom(o);
+      l.aspects = asp;
+      for(let i = 0; i < asp.length; i++) asp[i].parent = fa;
+    }
+    if(ok) {
+      // Prevent that new entities get codes that occur in the other model.
+      MODEL.next_activity_number = Math.max(MODEL.next_activity_number,
+          this.other.next_activity_number);
+      MODEL.next_aspect_number = Math.max(MODEL.next_aspect_number,
+          this.other.next_aspect_number);
+    }
+    return ok;
+  }
+  
+  acceptActivityChange(change) {
+    // Apply `change` of an activity to the current model.
+    const
+        e = change.entity,
+        o = change.other,
+        act = change.action;
+    if(act === 'removed') {
+      MODEL.deleteActivity(e);
+      MODEL.cleanUpActors();
+      return true;
+    }
+    if(act === 'changed') {
+      e.copyPropertiesFrom(o);
+      for(let c in e.incoming_expressions) {
+        if(e.incoming_expressions.hasOwnProperty(c)) {
+          e.incoming_expressions[c].text = o.incoming_expressions[c].text;
+          e.setLinkRule(c, o.link_rules[c].rule, o.link_rules[c].value);
+        }
+      }
+      return true;
+    }
+    if(act === 'renamed') {
+      return e.rename(o.name, o.actor.name) === true;
+    }
+    const pa = this.matchingActivity(o.parent, MODEL);
+    if(!pa) {
+      UI.warn(`Function "${o.parent.displayName}" must exist first`);
+      return false;
+    }
+    if(act === 'moved') {
+      e.setParent(pa);
+      return true;
+    }
+    // Otherwise, add the activity to its parent, but without its
+    // sub-activities, as these are separate changes.
+    if(MODEL.namedObjectByID(o.identifier)) {
+      UI.warn(`Another entity named "${o.displayName}" already exists`);
+      return false;
+    }
+    const
+        fa = MODEL.focal_activity,
+        n = parseXML(o.asXML.replace(
+            /<sub-activities>.*?<\/sub-activities>/, ''));
+    MODEL.focal_activity = pa;
+    const a = MODEL.addActivity(o.name, o.actor.name, n);
+    MODEL.focal_activity = fa;
+    if(a) a.actor.color = o.actor.color;
+    return a !== null;
+  }
+  
+} // END of class ModelDiff
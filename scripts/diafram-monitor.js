@@ -30,25 +30,42 @@ OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 SOFTWARE.
 */
 
-// CLASS Monitor provides the GUI for the Virtual Machine.
-class Monitor {
+// CLASS GUIMonitor provides the GUI for the Virtual Machine.
+class GUIMonitor extends Monitor {
   constructor() {
+    super();
     this.console = false;
-    this.visible = false;
-    // The "shown" flag is used to prevent re-display of the call stack.
-    this.call_stack_shown = false;
     // Initialize related DOM elements.
     this.dialog = UI.draggableDialog('monitor');
     UI.resizableDialog('monitor', 'MONITOR');
     this.close_btn = document.getElementById('monitor-close-btn');
     this.timer = document.getElementById('monitor-timer');
     this.messages = document.getElementById('monitor-msg');
+    this.evaluations = document.getElementById('monitor-evaluations');
     // Make toolbar buttons responsive.
     this.close_btn.addEventListener(
         'click', (event) => UI.toggleDialog(event));
     // Make close button of call stack dialog responsive.
     document.getElementById('call-stack-close-btn').addEventListener(
       'click', () => MONITOR.hideCallStack());
+    // The side panel shows watched aspects and functions, and breakpoints.
+    document.getElementById('monitor-step-btn').addEventListener(
+        'click', () => VM.step());
+    document.getElementById('monitor-continue-btn').addEventListener(
+        'click', () => VM.resume());
+    this.watch_table = document.getElementById('monitor-watches');
+    this.breakpoint_table = document.getElementById('monitor-breakpoints');
+    // Aspects and functions can be dragged from the Finder to the watch
+    // list and to the breakpoint list.
+    const
+        wa = document.getElementById('monitor-watch-area'),
+        ba = document.getElementById('monitor-break-area');
+    wa.addEventListener('dragover', (event) => MONITOR.dragOver(event));
+    wa.addEventListener('drop', (event) => MONITOR.drop(event, false));
+    ba.addEventListener('dragover', (event) => MONITOR.dragOver(event));
+    ba.addEventListener('drop', (event) => MONITOR.drop(event, true));
+    // Expressions can be typed to watch their value.
+    this.watch_input = document.getElementById('monitor-watch-expression');
     this.updateDialog();
   }
   
@@ -74,6 +91,14 @@ class Monitor {
         `Cycle #${t} (of ${MODEL.run_length})`;
   }
   
+  updateEvaluations() {
+    // Display how many function evaluations were skipped during the run.
+    const n = VM.evaluations;
+    this.evaluations.innerText = (n ?
+        `Skipped ${VM.skipped_evaluations} of ${pluralS(n, 'evaluation')}` :
+        '');
+  }
+  
   updateDialog() {
     // Show Virtual Machine messages for the selected tick.
     this.messages.value = '(no messages)';
@@ -81,7 +106,157 @@ class Monitor {
       const t = (MODEL.solved ? MODEL.t : VM.t);
       this.messages.value = (VM.messages[t] || '(no messages)');
       this.updateTickNumber(t);
+      this.updateEvaluations();
+      this.updateWatches(t);
+      if(VM.paused) {
+        UI.enableButtons('monitor-step monitor-continue');
+      } else {
+        UI.disableButtons('monitor-continue');
+        if(VM.solving) {
+          UI.disableButtons('monitor-step');
+        } else {
+          UI.enableButtons('monitor-step');
+        }
+      }
+    }
+  }
+  
+  entityFromEvent(e) {
+    // Return the aspect or leaf function that is dragged from the Finder
+    // (if any).
+    const
+        id = e.dataTransfer.getData('text'),
+        obj = MODEL.aspects[id] || MODEL.activities[id] || null;
+    if(obj instanceof Activity && !obj.isLeaf) return null;
+    return obj;
+  }
+
+  dragOver(e) {
+    if(this.entityFromEvent(e)) e.preventDefault();
+  }
+
+  drop(e, breakpoint) {
+    // Add the entity that is dropped as breakpoint or as watch.
+    const obj = this.entityFromEvent(e);
+    if(!obj) return;
+    e.preventDefault();
+    if(breakpoint) {
+      VM.breakpoints.push(new Breakpoint(obj));
+    } else if(!VM.watches.find((w) => w.entity === obj)) {
+      this.addWatch(new Watch(obj));
+    }
+    this.updateDialog();
+  }
+  
+  enterKey() {
+    // Add the expression entered by the modeler as watch.
+    if(document.activeElement === this.watch_input) this.addWatchExpression();
+  }
+  
+  addWatchExpression() {
+    const text = monoSpacedVariables(this.watch_input.value.trim());
+    if(!text) return;
+    const
+        w = new Watch(null, text),
+        xp = new ExpressionParser(text, w);
+    if(xp.error) {
+      UI.warn(`Syntax error in watch expression: ${xp.error}`);
+      return;
+    }
+    this.watch_input.value = '';
+    this.addWatch(w);
+    this.updateDialog();
+  }
+  
+  addWatch(w) {
+    // Add watch `w`, and evaluate it for the current cycle if the run is
+    // paused, as then this cycle has already been computed.
+    VM.watches.push(w);
+    w.reset();
+    if(VM.paused) w.evaluate(VM.t);
+  }
+
+  removeWatch(index) {
+    VM.watches.splice(index, 1);
+    this.updateDialog();
+  }
+
+  removeBreakpoint(index) {
+    VM.breakpoints.splice(index, 1);
+    this.updateDialog();
+  }
+
+  setBreakpointOperator(index, op) {
+    const bp = VM.breakpoints[index];
+    if(bp) bp.operator = op;
+  }
+
+  setBreakpointValue(index, value) {
+    // Set the number that the aspect of breakpoint `index` is compared with.
+    const
+        bp = VM.breakpoints[index],
+        v = safeStrToFloat(value.trim(), NaN);
+    if(!bp) return;
+    if(isNaN(v)) {
+      UI.warn('Breakpoint value must be a number');
+    } else {
+      bp.value = v;
+    }
+    this.updateDialog();
+  }
+
+  watchValue(w, t) {
+    // Return the value of watch `w` in cycle `t` as string.
+    const v = w.value(t);
+    if(v === undefined) return '';
+    if(w.entity instanceof Activity) return (v === 1 ? 'active' : 'inactive');
+    return VM.sig4Dig(v);
+  }
+
+  updateWatches(t) {
+    // Display the watches and the breakpoints.
+    // NOTE: Entities may have been deleted from the model.
+    VM.removeObsoleteBreakpoints();
+    const
+        hint = '<tr><td class="monitor-hint">Drag aspects and functions ' +
+            'from the Finder to this list</td></tr>',
+        img = (obj) => (!obj ? '' : '<img class="finder" src="images/' +
+            (obj instanceof Activity ? 'activity' : 'aspect') + '.png">'),
+        remove = (what, i) => '<td><img class="monitor-remove" ' +
+            `src="images/remove.png" title="Remove ${what}" ` +
+            `onclick="MONITOR.remove${what}(${i});"></td>`;
+    let html = [];
+    for(let i = 0; i < VM.watches.length; i++) {
+      const w = VM.watches[i];
+      html.push('<tr><td class="monitor-name', (w.entity ? '' :
+          ' monitor-expression'), '" title="', xmlEncoded(w.displayName),
+          '">', img(w.entity), xmlEncoded(w.displayName),
+          '</td><td class="monitor-value">', this.watchValue(w, t), '</td>',
+          remove('Watch', i), '</tr>');
+    }
+    this.watch_table.innerHTML = (html.length ? html.join('') : hint);
+    html = [];
+    for(let i = 0; i < VM.breakpoints.length; i++) {
+      const bp = VM.breakpoints[i];
+      html.push('<tr><td class="monitor-name">', img(bp.entity),
+          bp.entity.displayName, '</td><td class="monitor-condition">');
+      if(bp.entity instanceof Activity) {
+        html.push(bp.condition);
+      } else {
+        html.push('<select onchange="MONITOR.setBreakpointOperator(', i,
+            ', this.value);">');
+        for(let j = 0; j < VM.comparison_operators.length; j++) {
+          const op = VM.comparison_operators[j];
+          html.push('<option value="', op, '"', (op === bp.operator ?
+              ' selected' : ''), '>', xmlEncoded(op), '</option>');
+        }
+        html.push('</select><input type="text" autocomplete="off" value="',
+            bp.value, '" onchange="MONITOR.setBreakpointValue(', i,
+            ', this.value);">');
+      }
+      html.push('</td>', remove('Breakpoint', i), '</tr>');
     }
+    this.breakpoint_table.innerHTML = (html.length ? html.join('') : hint);
   }
   
   showCallStack(t) {
@@ -166,4 +341,4 @@ class Monitor {
     this.call_stack_shown = false;    
   }
 
-} // END of class Monitor
+} // END of class GUIMonitor
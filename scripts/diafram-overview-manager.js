@@ -0,0 +1,186 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-overview-manager.js) provides the GUI for
+navigating large diagrams: the draggable/resizable dialog that shows the
+entire diagram of the focal activity in miniature, with a rectangle that
+marks the part of the diagram that is visible in the main window. Dragging
+this rectangle scrolls the main window.
+*/
+
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+
+// CLASS OverviewManager provides the overview dialog functionality
+class OverviewManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('overview');
+    UI.resizableDialog('overview', 'OVERVIEW_MANAGER');
+    this.close_btn = document.getElementById('overview-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.container = document.getElementById('overview-container');
+    // The main window area scrolls the diagram.
+    this.main = UI.paper.container.parentElement;
+    this.main.addEventListener('scroll', () => OVERVIEW_MANAGER.updateDialog());
+    // Pressing the mouse button on the overview centers the main window
+    // on the cursor position; dragging then scrolls the main window.
+    this.container.addEventListener('mousedown', (e) => {
+        OVERVIEW_MANAGER.dragging = true;
+        OVERVIEW_MANAGER.scrollTo(e);
+      });
+    this.container.addEventListener('mousemove', (e) => {
+        if(OVERVIEW_MANAGER.dragging) OVERVIEW_MANAGER.scrollTo(e);
+      });
+    this.container.addEventListener('mouseup',
+        () => { OVERVIEW_MANAGER.dragging = false; });
+    this.container.addEventListener('mouseleave',
+        () => { OVERVIEW_MANAGER.dragging = false; });
+    // Margin (in pixels) around the miniature diagram.
+    this.margin = 4;
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.dragging = false;
+    // Scale of the miniature relative to the diagram.
+    this.scale = 1;
+  }
+
+  get viewport() {
+    // Return the part of the diagram that is visible in the main window
+    // as [x, y, width, height] in diagram coordinates.
+    const zf = UI.paper.zoom_factor;
+    return [this.main.scrollLeft * zf, this.main.scrollTop * zf,
+        this.main.clientWidth * zf, this.main.clientHeight * zf];
+  }
+
+  scrollTo(e) {
+    // Scroll the main window such that its center shows the diagram
+    // position under the cursor.
+    e.preventDefault();
+    const
+        r = this.container.getBoundingClientRect(),
+        zf = UI.paper.zoom_factor,
+        x = (e.clientX - r.left - this.margin) / this.scale,
+        y = (e.clientY - r.top - this.margin) / this.scale;
+    this.main.scrollLeft = x / zf - this.main.clientWidth / 2;
+    this.main.scrollTop = y / zf - this.main.clientHeight / 2;
+  }
+
+  updateDialog() {
+    // Draw the miniature diagram with the viewport rectangle.
+    if(!this.visible) return;
+    const
+        fa = MODEL.focal_activity,
+        vl = fa.visibleLinks,
+        dvl = fa.deepVisibleLinks,
+        vp = this.viewport,
+        m = this.margin,
+        pal = UI.paper.palette;
+    for(let k in dvl) if(dvl.hasOwnProperty(k)) vl.push(dvl[k]);
+    // The miniature shows the diagram and the viewport.
+    let w = vp[0] + vp[2],
+        h = vp[1] + vp[3];
+    for(let i = 0; i < fa.sub_activities.length; i++) {
+      const a = fa.sub_activities[i];
+      w = Math.max(w, a.x + a.width / 2);
+      h = Math.max(h, a.y + a.height / 2);
+    }
+    for(let i = 0; i < fa.notes.length; i++) {
+      const n = fa.notes[i];
+      w = Math.max(w, n.x + n.width / 2);
+      h = Math.max(h, n.y + n.height / 2);
+    }
+    for(let i = 0; i < vl.length; i++) {
+      const bpl = vl[i].bend_points;
+      for(let j = 0; j < bpl.length; j++) {
+        w = Math.max(w, bpl[j].x);
+        h = Math.max(h, bpl[j].y);
+      }
+    }
+    const
+        cw = Math.max(20, this.container.clientWidth - 2 * m),
+        ch = Math.max(20, this.container.clientHeight - 2 * m),
+        s = Math.min(cw / w, ch / h),
+        // Local function that returns scaled coordinates as string.
+        xy = (x, y) => (m + x * s).toFixed(1) + ',' + (m + y * s).toFixed(1),
+        svg = [`<svg width="${cw + 2 * m}" height="${ch + 2 * m}" `,
+            'xmlns="http://www.w3.org/2000/svg">'];
+    this.scale = s;
+    // Notes are drawn first, as they are no more than background.
+    for(let i = 0; i < fa.notes.length; i++) {
+      const n = fa.notes[i];
+      svg.push('<rect x="', (m + (n.x - n.width / 2) * s).toFixed(1),
+          '" y="', (m + (n.y - n.height / 2) * s).toFixed(1),
+          '" width="', (n.width * s).toFixed(1), '" height="',
+          (n.height * s).toFixed(1), '" fill="', pal.note_fill,
+          '" opacity="0.5"></rect>');
+    }
+    // Links are drawn as straight lines via their bend points (if any).
+    for(let i = 0; i < vl.length; i++) {
+      const
+          l = vl[i],
+          pts = [xy(l.from_activity.x, l.from_activity.y)];
+      for(let j = 0; j < l.bend_points.length; j++) {
+        pts.push(xy(l.bend_points[j].x, l.bend_points[j].y));
+      }
+      pts.push(xy(l.to_activity.x, l.to_activity.y));
+      const clr = (l.selected ? pal.select :
+          (l.containsActivated(MODEL.t) ? pal.activated : pal.rim));
+      svg.push('<polyline points="', pts.join(' '), '" fill="none" stroke="',
+          clr, '" stroke-width="0.75"></polyline>');
+    }
+    // Active functions are filled with the color of their rim, so that
+    // they stand out when stepping through a run.
+    for(let i = 0; i < fa.sub_activities.length; i++) {
+      const
+          a = fa.sub_activities[i],
+          hw = a.width / 2,
+          hh = a.height / 2,
+          qw = hw / 2,
+          active = a.isActive(MODEL.t),
+          fill = (active ? a.activeColor(MODEL.t) :
+              a.color || (a.isBackground ? pal.bg_fill : pal.fg_fill)),
+          stroke = (a.selected ? pal.select :
+              (active ? a.activeColor(MODEL.t) : pal.rim));
+      svg.push('<polygon points="', [xy(a.x - hw, a.y),
+          xy(a.x - qw, a.y - hh), xy(a.x + qw, a.y - hh), xy(a.x + hw, a.y),
+          xy(a.x + qw, a.y + hh), xy(a.x - qw, a.y + hh)].join(' '),
+          '" fill="', fill, '" stroke="', stroke, '" stroke-width="',
+          (a.selected ? 1.5 : 0.75), '"><title>', xmlEncoded(a.displayName),
+          '</title></polygon>');
+    }
+    // Finally, draw the viewport rectangle.
+    svg.push('<rect x="', (m + vp[0] * s).toFixed(1), '" y="',
+        (m + vp[1] * s).toFixed(1), '" width="', (vp[2] * s).toFixed(1),
+        '" height="', (vp[3] * s).toFixed(1), '" fill="#0080f0" ',
+        'fill-opacity="0.08" stroke="#0080f0" stroke-width="1.5" ',
+        'style="cursor: move"></rect></svg>');
+    this.container.innerHTML = svg.join('');
+  }
+
+} // END of class OverviewManager
@@ -284,6 +284,8 @@ class Paper {
       connecting_fill: '#80ffff', // light cyan
       active: '#40b040', // middle green
       activated: '#60b060', // brighter green
+      // The longest upstream chain to a function is orange.
+      chain: '#f07000',
       value_fill: '#d0f0ff',
       // All notes have thin gray rim, similar to other model diagram
       // elements, that turns red when a note is selected.
@@ -342,6 +344,9 @@ class Paper {
     id = 'f_e_e_d_b_a_c_k__c_h_e_v_r_o_n__t_i_p__ID*';
     this.feedback_chevron = `url(#${id})`;
     this.addMarker(defs, id, chev, 8, 'rgb(0, 0, 0)');
+    id = 'c_h_a_i_n__c_h_e_v_r_o_n__t_i_p__ID*';
+    this.chain_chevron = `url(#${id})`;
+    this.addMarker(defs, id, chev, 10, this.palette.chain);
     id = 'g_r_e_e_n__c_h_e_v_r_o_n__t_i_p__ID*';
     this.green_chevron = `url(#${id})`;
     this.addMarker(defs, id, chev, 8, this.palette.active);
@@ -655,6 +660,8 @@ class Paper {
     document.getElementById('zoom').innerHTML =
         Math.round(100 / this.zoom_factor) + '%';
     this.extend();
+    // Zooming changes the part of the diagram that is visible.
+    if(OVERVIEW_MANAGER) OVERVIEW_MANAGER.updateDialog();
   }
   
   zoomIn() {
@@ -816,6 +823,30 @@ class Paper {
     return interPoint(interPoint(ab, bc, t), interPoint(bc, cd, t), t);
   }
 
+  polylinePoint(pts, t) {
+    // Returns the point on the polyline through the points in list `pts`,
+    // with `t` indicating the relative distance (fraction between 0 and 1)
+    // along this line from its first point. NOTE: as for Bezier points,
+    // points must be represented as lists [x, y]
+    const sl = [];
+    let total = 0;
+    for(let i = 1; i < pts.length; i++) {
+      const l = Math.hypot(pts[i][0] - pts[i-1][0], pts[i][1] - pts[i-1][1]);
+      sl.push(l);
+      total += l;
+    }
+    let d = t * total;
+    for(let i = 0; i < sl.length; i++) {
+      if(d <= sl[i] && sl[i] > 0) {
+        const f = d / sl[i];
+        return [pts[i][0] + (pts[i+1][0] - pts[i][0]) * f,
+            pts[i][1] + (pts[i+1][1] - pts[i][1]) * f];
+      }
+      d -= sl[i];
+    }
+    return pts[pts.length - 1];
+  }
+
   relDif(n1, n2) {
     // Returns the relative difference (n1 - n2) / |n2| unless n2 is
     // near-zero; then it returns the absolute difference n1 - n2
@@ -853,6 +884,67 @@ class Paper {
     return null;
   }
   
+  drawSwimlanes(mdl) {
+    // In swimlane view, draw a horizontal lane for each actor of the
+    // sub-activities of the focal activity. Each lane spans the activities
+    // of its actor, and has the actor name in a colored header at its left.
+    // NOTE: The controller keeps the functions of a lane below those of
+    // the lane above it (see model method `fitToLanes`), so lanes border
+    // halfway.
+    if(this.lanes_shape) this.lanes_shape.removeFromDOM();
+    this.lanes_shape = null;
+    const lanes = mdl.focal_activity.actorLanes;
+    if(!mdl.swimlanes || !lanes.length) return;
+    const
+        shape = new Shape(),
+        margin = UI.LANE_MARGIN,
+        hdr = 20,
+        tops = [],
+        bottoms = [];
+    let left = Infinity,
+        right = -Infinity;
+    for(let k = 0; k < lanes.length; k++) {
+      let t = Infinity,
+          b = -Infinity;
+      for(let i = 0; i < lanes[k][1].length; i++) {
+        const a = lanes[k][1][i];
+        left = Math.min(left, a.x - a.width / 2);
+        right = Math.max(right, a.x + a.width / 2);
+        t = Math.min(t, a.y - a.height / 2);
+        b = Math.max(b, a.y + a.height / 2);
+      }
+      tops.push(t);
+      bottoms.push(b);
+    }
+    left -= margin + hdr;
+    right += margin;
+    let y = tops[0] - margin;
+    for(let k = 0; k < lanes.length; k++) {
+      const
+          actor = lanes[k][0],
+          ny = (k < lanes.length - 1 ?
+              Math.max(y, (bottoms[k] + tops[k + 1]) / 2) :
+              bottoms[k] + margin),
+          h = ny - y,
+          cy = y + h / 2;
+      shape.addRect((left + right) / 2, cy, right - left, h,
+          {fill: actor.color, 'fill-opacity': 0.2,
+              stroke: this.palette.rim, 'stroke-width': 0.5});
+      shape.addRect(left + hdr / 2, cy, hdr, h,
+          {fill: actor.color, 'fill-opacity': 0.6,
+              stroke: this.palette.rim, 'stroke-width': 0.5});
+      shape.addText(left + hdr / 2, cy,
+          ellipsedText(actor.displayName, Math.floor(h / 7), 0),
+          {'font-size': 9, 'font-weight': 600,
+              transform: `rotate(-90 ${left + hdr / 2} ${cy})`});
+      y = ny;
+    }
+    // NOTE: Lanes are drawn behind all other elements of the diagram.
+    const defs = this.svg.getElementsByTagName('defs')[0];
+    this.svg.insertBefore(shape.element, (defs ? defs.nextSibling : null));
+    this.lanes_shape = shape;
+  }
+  
   drawModel(mdl) {
     // Draw the diagram for the focal activity.
     this.clear();
@@ -873,12 +965,16 @@ class Paper {
     for(let i = 0; i < vl.length; i++) {
       this.drawLink(vl[i]);
     }
+    // NOTE: Draw lanes when the sizes of the activities are known.
+    this.drawSwimlanes(mdl);
     // Draw notes last, as they are semi-transparent, and can be quite small.
     for(let i = 0; i < fa.notes.length; i++) {
       this.drawNote(fa.notes[i]);
     }
     // Resize paper if necessary.
     this.extend();
+    // Also redraw the miniature diagram.
+    if(OVERVIEW_MANAGER) OVERVIEW_MANAGER.updateDialog();
     // Display model name in browser.
     document.title = mdl.name || 'diaFRAM';
   }
@@ -905,7 +1001,9 @@ class Paper {
     for(let i = 0; i < vl.length; i++) {
       this.drawLink(vl[i], dx, dy);
     }
+    this.drawSwimlanes(mdl);
     this.extend(); 
+    if(OVERVIEW_MANAGER) OVERVIEW_MANAGER.updateDialog();
   }
   
   drawLink(l, dx=0, dy=0) {
@@ -938,6 +1036,11 @@ class Paper {
       stroke_width = 1.75;
       chev = this.selected_chevron;
       ady = 4;
+    } else if(ANALYSIS_MANAGER.inChain(l)) {
+      stroke_color = this.palette.chain;
+      stroke_width = 1.75;
+      chev = this.chain_chevron;
+      ady = 4;
     } else {
       stroke_width = 1.25;
       if(activated || active_color !== this.palette.rim) {
@@ -1012,11 +1115,34 @@ class Paper {
     y2 = cy2 + tcpsin * 10;
     tcx = cx2 + tcpcos * (dr + 3 / part) + ccx2;
     tcy = cy2 + tcpsin * dr + (to_i && dcx < 0 ? dr - Math.sign(dcy) * 50 : 0);
+    let path = `M${x1},${y1}C${fcx},${fcy},${tcx},${tcy},${x2},${y2}`,
+        pointAt = (p) => this.bezierPoint(
+            [x1, y1], [fcx, fcy], [tcx, tcy], [x2, y2], p);
+    // When the modeler has added bend points, the link leaves its (O)
+    // connector horizontally, follows straight lines through the bend
+    // points, and enters its TO connector perpendicular to the hexagon.
+    const bpl = l.bend_points.map((bp) => [bp.x + dx, bp.y + dy]);
+    if(bpl.length) {
+      const
+          b1 = bpl[0],
+          bn = bpl[bpl.length - 1],
+          dr1 = 10 + Math.hypot(b1[0] - cx1, b1[1] - cy1) / 4,
+          dr2 = 10 + Math.hypot(bn[0] - cx2, bn[1] - cy2) / 4,
+          pts = [];
+      x1 = cx1 + 7;
+      y1 = cy1;
+      x2 = cx2 + cosa * 10;
+      y2 = cy2 + sina * 10;
+      pts.push([x1, y1], ...bpl, [x2, y2]);
+      path = [`M${x1},${y1}Q${cx1 + dr1},${cy1},${b1[0]},${b1[1]}`,
+          ...bpl.slice(1).map((b) => `L${b[0]},${b[1]}`),
+          `Q${cx2 + cosa * dr2},${cy2 + sina * dr2},${x2},${y2}`].join('');
+      pointAt = (p) => this.polylinePoint(pts, p);
+    }
     // First draw a thick but near-transparent line so that the mouse
     // events is triggered sooner.
     const
-        le = l.shape.addPath(
-            [`M${x1},${y1}C${fcx},${fcy},${tcx},${tcy},${x2},${y2}`],
+        le = l.shape.addPath([path],
             {fill: 'none', stroke: 'white', 'stroke-width': 9,
                 'stroke-linecap': 'round', opacity: 0.01}),
         ndl = l.deep_links.length,
@@ -1047,8 +1173,7 @@ class Paper {
       chev = this.deep_chevron;
       opac = 0.75;
     }
-    const tl = l.shape.addPath(
-        [`M${x1},${y1}C${fcx},${fcy},${tcx},${tcy},${x2},${y2}`],
+    const tl = l.shape.addPath([path],
         {fill: 'none', stroke: stroke_color, 'stroke-width': stroke_width,
             'stroke-dasharray': sda, 'stroke-linecap': 'round',
             'marker-end': chev, opacity: opac});
@@ -1078,8 +1203,7 @@ class Paper {
             a = l.aspects[i],
             frlwa = firstRealLinkWithAspect(a),
             aid = a.identifier,
-            bp = this.bezierPoint(
-                [x1, y1], [fcx, fcy], [tcx, tcy], [x2, y2], p),
+            bp = pointAt(p),
             le = l.shape.addText(bp[0], bp[1], a.name_lines,
                 {'font-size': 9, 'pointer-events': 'auto'}),
             nimbus = (a.comments && DOCUMENTATION_MANAGER.visible ?
@@ -1147,6 +1271,19 @@ class Paper {
         p += 2 * step;
       }
     }
+    // Show the bend points of a selected link as handles that can be
+    // dragged (and deleted by double-clicking).
+    if(l.selected) {
+      for(let i = 0; i < bpl.length; i++) {
+        const h = l.shape.addRect(bpl[i][0], bpl[i][1], 6, 6,
+            {fill: 'white', stroke: stroke_color, 'stroke-width': 1,
+                'pointer-events': 'auto', cursor: 'move'});
+        h.addEventListener('mouseover',
+            () => { UI.setBendPointUnderCursor(l, i); });
+        h.addEventListener('mouseout',
+            () => { UI.setBendPointUnderCursor(null); });
+      }
+    }
     // Highlight shape if it has comments.
     l.shape.element.setAttribute('style',
         (DOCUMENTATION_MANAGER.visible && l.comments ?
@@ -1170,13 +1307,18 @@ class Paper {
         active = act.isActive(MODEL.t);
     let stroke_width = 1,
         stroke_color = this.palette.rim,
-        fill_color = (background ? this.palette.bg_fill :
+        fill_color = act.color || (background ? this.palette.bg_fill :
             this.palette.fg_fill);
     // Active states have a dark green rim.
     if(active) {
       stroke_width = 1.5;
       stroke_color = act.activeColor(MODEL.t);
     }
+    // Activities in the highlighted chain have a thick orange border.
+    if(ANALYSIS_MANAGER.inChain(act)) {
+      stroke_color = this.palette.chain;
+      stroke_width = 2.5;
+    }
     // Being selected overrules special border properties except SDA
     if(act.selected) {
       stroke_color = this.palette.select;
@@ -1226,6 +1368,13 @@ class Paper {
           ax = x + Math.cos(a) * hw * 1.1,
           ay = y + Math.sin(a) * hw * 1.1;
       act.shape.addConnector(ax, ay, c, aid, cl[c]);
+      // Show a link rule other than "all" outside the connector.
+      const lrs = (c === 'O' ? '' : act.linkRuleSymbol(c));
+      if(lrs) {
+        act.shape.addText(x + Math.cos(a) * (hw * 1.1 + 14),
+            y + Math.sin(a) * (hw * 1.1 + 12), lrs,
+            {'font-size': 7, 'fill': '#f07000', 'font-weight': 600});
+      }
     }
     // Always draw process name plus actor name (if any).
     const
@@ -0,0 +1,307 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-sensitivity-manager.js) provides the GUI for
+sensitivity analysis: the draggable/resizable dialog in which the modeler
+selects a parameter (an aspect having a numeric constant as expression), a
+range of values for this parameter and the exit functions of interest, and
+that charts how the first activation cycle and the number of activations
+of these functions vary with the parameter value.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS SensitivityManager provides the sensitivity sweep dialog functionality
+class SensitivityManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('sensitivity');
+    UI.resizableDialog('sensitivity', 'SENSITIVITY_MANAGER');
+    this.close_btn = document.getElementById('sensitivity-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.aspect_select = document.getElementById('sensitivity-aspect');
+    this.aspect_select.addEventListener(
+        'change', () => SENSITIVITY_MANAGER.selectAspect());
+    this.from_input = document.getElementById('sensitivity-from');
+    this.to_input = document.getElementById('sensitivity-to');
+    this.steps_input = document.getElementById('sensitivity-steps');
+    this.measure = document.getElementById('sensitivity-measure');
+    this.measure.addEventListener(
+        'change', () => SENSITIVITY_MANAGER.drawChart());
+    document.getElementById('sensitivity-run-btn').addEventListener(
+        'click', () => SENSITIVITY_MANAGER.run());
+    document.getElementById('sensitivity-copy-btn').addEventListener(
+        'click', () => SENSITIVITY_MANAGER.copyData());
+    this.status = document.getElementById('sensitivity-status');
+    this.exit_table = document.getElementById('sensitivity-exits');
+    this.svg_container = document.getElementById('sensitivity-svg-container');
+    // Margins (in pixels) around the plot area.
+    this.margin = {left: 44, right: 12, top: 10, bottom: 24};
+    // Exit functions that the modeler has unchecked; all other exit
+    // functions are included in the sweep.
+    this.unchecked = [];
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.aspect = null;
+    this.unchecked.length = 0;
+    this.sweep = null;
+    this.running = false;
+    this.from_input.value = '';
+    this.to_input.value = '';
+    this.steps_input.value = '10';
+    this.updateDialog();
+  }
+
+  get parameters() {
+    // Return the list of aspects having a numeric constant as expression.
+    if(!MODEL) return [];
+    return Object.values(MODEL.aspects).filter(
+        (a) => !isNaN(a.constantValue)).sort(
+            (a, b) => ciCompare(a.displayName, b.displayName));
+  }
+
+  get exitFunctions() {
+    // Return the list of exit functions in display order.
+    if(!MODEL) return [];
+    return MODEL.top_activity.leafActivities.filter((a) => a.isExit).sort(
+        (a, b) => ciCompare(a.displayName, b.displayName));
+  }
+
+  get checkedExits() {
+    return this.exitFunctions.filter((a) => this.unchecked.indexOf(a) < 0);
+  }
+
+  selectAspect() {
+    // Set the parameter to the selected aspect, and propose a range of
+    // values around its current value.
+    this.aspect = MODEL.aspects[this.aspect_select.value] || null;
+    if(this.aspect) {
+      const v = this.aspect.constantValue;
+      this.from_input.value = (v ? VM.sig4Dig(v / 2) : 0);
+      this.to_input.value = (v ? VM.sig4Dig(v * 1.5) : 1);
+    }
+  }
+
+  toggleExit(id) {
+    // Include or exclude exit function `id` in the sweep.
+    const
+        a = MODEL.activities[id],
+        i = this.unchecked.indexOf(a);
+    if(!a) return;
+    if(i < 0) {
+      this.unchecked.push(a);
+    } else {
+      this.unchecked.splice(i, 1);
+    }
+    this.updateDialog();
+  }
+
+  run() {
+    // Run the model for the specified range of parameter values.
+    if(this.running) return;
+    // NOTE: Sweep runs would reset the VM while an interactive run is
+    // still in progress.
+    if(VM.solving || VM.paused) {
+      UI.warn('Sweep cannot start while the model is being run');
+      return;
+    }
+    if(!this.aspect) {
+      UI.warn('No parameter selected');
+      return;
+    }
+    const
+        from = safeStrToFloat(this.from_input.value, NaN),
+        to = safeStrToFloat(this.to_input.value, NaN),
+        steps = safeStrToInt(this.steps_input.value, -1),
+        exits = this.checkedExits;
+    if(isNaN(from) || isNaN(to)) {
+      UI.warn('Range must be specified by two numbers');
+      return;
+    }
+    if(steps < 1) {
+      UI.warn('Number of steps must be a positive integer');
+      this.steps_input.focus();
+      return;
+    }
+    if(!exits.length) {
+      UI.warn('No exit functions selected');
+      return;
+    }
+    this.sweep = new SensitivitySweep(this.aspect, from, to, steps, exits);
+    this.running = true;
+    this.updateDialog();
+    UI.waitingCursor();
+    // NOTE: Runs are performed one at a time, so that the browser remains
+    // responsive and progress can be shown.
+    setTimeout(() => SENSITIVITY_MANAGER.nextRun());
+  }
+
+  nextRun() {
+    // Perform the next run of the sweep.
+    const s = this.sweep;
+    if(s.done) {
+      this.finish();
+      return;
+    }
+    s.runNext();
+    this.status.innerText = `Run ${s.completed} of ${s.runs}`;
+    UI.setProgressNeedle(s.completed / s.runs);
+    setTimeout(() => SENSITIVITY_MANAGER.nextRun());
+  }
+
+  finish() {
+    this.running = false;
+    // NOTE: The sweep has restored the original parameter value, but the
+    // model is run once more with this value, so that the diagram does not
+    // show the results for the last value.
+    VM.run(0, this.sweep.seed);
+    UI.normalCursor();
+    UI.setProgressNeedle(0);
+    UI.drawDiagram(MODEL);
+    UI.updateTimeStep();
+    MONITOR.updateDialog();
+    this.updateDialog();
+  }
+
+  copyData() {
+    // Copy the outcomes of the sweep to the clipboard.
+    if(this.sweep && this.sweep.done) {
+      UI.copyStringToClipboard(this.sweep.asTSV);
+    }
+  }
+
+  updateDialog() {
+    // Display the parameters and exit functions, and draw the chart.
+    const pl = this.parameters;
+    // NOTE: The parameter may have been deleted or modified.
+    if(pl.indexOf(this.aspect) < 0) this.aspect = null;
+    if(this.sweep && MODEL.aspects[this.sweep.aspect.identifier] !==
+        this.sweep.aspect) this.sweep = null;
+    const html = ['<option value="">(select a parameter)</option>'];
+    for(let i = 0; i < pl.length; i++) {
+      html.push('<option value="', pl[i].identifier, '"',
+          (pl[i] === this.aspect ? ' selected' : ''), '>',
+          pl[i].displayName, ' (', pl[i].expression.text, ')</option>');
+    }
+    this.aspect_select.innerHTML = html.join('');
+    // NOTE: A sweep cannot start while an interactive run is in progress.
+    if(this.aspect && !this.running && !(VM.solving || VM.paused)) {
+      UI.enableButtons('sensitivity-run');
+    } else {
+      UI.disableButtons('sensitivity-run');
+    }
+    if(this.sweep && this.sweep.done) {
+      UI.enableButtons('sensitivity-copy');
+    } else {
+      UI.disableButtons('sensitivity-copy');
+    }
+    if(!this.running) {
+      this.status.innerText = (!pl.length ?
+          '(model has no aspects with a constant as expression)' :
+          (this.sweep && this.sweep.done ?
+              `Last sweep used random seed ${this.sweep.seed}` : ''));
+    }
+    // NOTE: Each exit function keeps its color as long as it is included
+    // in the last sweep.
+    const
+        cc = UI.chart_colors,
+        el = this.exitFunctions,
+        sel = (this.sweep ? this.sweep.exits : []),
+        rows = [];
+    for(let i = 0; i < el.length; i++) {
+      const
+          a = el[i],
+          si = sel.indexOf(a),
+          sw = (si < 0 ? '' : ['<span class="chart-swatch" ',
+              'style="background-color: ', cc[si % cc.length], '"></span>']
+              .join(''));
+      rows.push('<tr class="dataset" onclick="SENSITIVITY_MANAGER.',
+          'toggleExit(\'', a.identifier, '\');"><td><input type="checkbox"',
+          (this.unchecked.indexOf(a) < 0 ? ' checked' : ''), '>', sw,
+          a.displayName, '</td></tr>');
+    }
+    if(!rows.length) {
+      rows.push('<tr><td class="chart-hint">(model has no exit functions)',
+          '</td></tr>');
+    }
+    this.exit_table.innerHTML = rows.join('');
+    this.drawChart();
+  }
+
+  drawChart() {
+    // Draw the selected outcome of the exit functions as function of the
+    // parameter value.
+    const
+        w = this.svg_container.clientWidth,
+        h = this.svg_container.clientHeight,
+        m = this.margin,
+        pw = w - m.left - m.right,
+        ph = h - m.top - m.bottom,
+        s = this.sweep;
+    if(!this.visible || pw <= 0 || ph <= 0) return;
+    if(!s || !s.done) {
+      this.svg_container.innerHTML = '';
+      return;
+    }
+    const
+        cc = UI.chart_colors,
+        first = this.measure.value === 'first',
+        xv = s.values,
+        series = [];
+    // Determine the range of the vertical axis.
+    let miny = 0,
+        maxy = 1;
+    for(let i = 0; i < s.exits.length; i++) {
+      const
+          code = s.exits[i].code,
+          vv = (first ? s.first_activation[code] : s.activations[code]);
+      series.push(vv);
+      for(let j = 0; j < vv.length; j++) {
+        if(!VM.specialValue(vv[j])[0]) maxy = Math.max(maxy, vv[j]);
+      }
+    }
+    const
+        minx = Math.min(xv[0], xv[xv.length - 1]),
+        c = {minx: minx,
+            maxx: Math.max(xv[0], xv[xv.length - 1], minx + VM.NEAR_ZERO),
+            miny: miny, maxy: maxy, xlabels: [], series: []},
+        // Label the horizontal axis, but not each value when there are
+        // many.
+        step = Math.max(1, Math.ceil(xv.length * 40 / pw));
+    for(let j = 0; j < xv.length; j += step) {
+      c.xlabels.push([xv[j], VM.sig4Dig(xv[j])]);
+    }
+    // Plot the series with dots, interrupted by undefined values (when a
+    // function is never activated).
+    for(let i = 0; i < series.length; i++) {
+      c.series.push({x: xv, y: series[i], color: cc[i % cc.length],
+          dots: true});
+    }
+    this.svg_container.innerHTML = UI.lineChartSVG(w, h, m, c);
+  }
+
+} // END of class SensitivityManager
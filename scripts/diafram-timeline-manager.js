@@ -0,0 +1,156 @@
+/*
+diaFRAM is an executable graphical editor in support of the Functional
+Resonance Analysis Method developed originally by Erik Hollnagel.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (diafram-timeline-manager.js) provides the GUI for
+viewing when activities were active during the last run: the draggable/
+resizable dialog that shows a Gantt-style timeline with one row per leaf
+activity, and a bar for each cycle in which the activity was active.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS TimelineManager provides the timeline dialog functionality
+class TimelineManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('timeline');
+    UI.resizableDialog('timeline', 'TIMELINE_MANAGER');
+    this.close_btn = document.getElementById('timeline-close-btn');
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.status = document.getElementById('timeline-status');
+    this.container = document.getElementById('timeline-container');
+    // Dimensions (in pixels) of the timeline elements.
+    this.label_width = 160;
+    this.row_height = 18;
+    this.axis_height = 20;
+    // Bars for cycles that take no clock time are still shown.
+    this.min_bar_width = 3;
+    this.reset();
+  }
+
+  reset() {
+    this.visible = false;
+    this.updateDialog();
+  }
+
+  selectCycle(t) {
+    // Move the diagram to cycle `t`.
+    if(!MODEL.solved) return;
+    MODEL.t = Math.max(0, Math.min(MODEL.run_length, t));
+    UI.updateTimeStep();
+    UI.drawDiagram(MODEL);
+    MONITOR.updateDialog();
+    // NOTE: The timeline is updated via `updateTimeStep`.
+  }
+
+  updateDialog() {
+    // Draw the timeline for the last run.
+    if(!this.visible) return;
+    if(!MODEL.solved) {
+      this.status.innerText = '(no results -- run the model first)';
+      this.container.innerHTML = '';
+      return;
+    }
+    const
+        la = MODEL.top_activity.leafActivities,
+        n = MODEL.run_length + 1,
+        ct = MODEL.clock_time;
+    // Determine the clock time range of the run.
+    let mint = ct[0] || 0,
+        maxt = mint;
+    for(let t = 0; t < n; t++) {
+      if(!VM.specialValue(ct[t])[0]) maxt = Math.max(maxt, ct[t]);
+    }
+    // NOTE: When the clock does not advance, show cycles instead.
+    const use_clock = maxt > mint;
+    if(!use_clock) {
+      mint = 0;
+      maxt = n;
+    } else {
+      // Extend the range by one average cycle, so that the last cycle
+      // also has a width.
+      maxt += (maxt - mint) / (n - 1);
+    }
+    this.status.innerText = pluralS(la.length, 'activity', 'activities') +
+        (use_clock ? '' : ' (clock time does not advance -- showing cycles)');
+    const
+        lw = this.label_width,
+        rh = this.row_height,
+        ah = this.axis_height,
+        w = Math.max(lw + 100, this.container.clientWidth - 2),
+        h = ah + la.length * rh,
+        pw = w - lw - 10,
+        scale = pw / (maxt - mint),
+        // Cycle `t` starts at clock time ct[t] and ends at ct[t + 1].
+        tx = (t) => {
+            if(!use_clock) return lw + t * scale;
+            const v = (t < n ? ct[t] : maxt);
+            return lw + (VM.specialValue(v)[0] ? 0 : v - mint) * scale;
+          },
+        svg = [`<svg width="${w}" height="${h}" `,
+            'xmlns="http://www.w3.org/2000/svg">'];
+    // Add the time axis with labels, but not for each cycle when the run
+    // is long.
+    const step = Math.max(1, Math.ceil(n * 50 / pw));
+    for(let t = 0; t < n; t += step) {
+      const
+          x = tx(t).toFixed(1),
+          label = (use_clock ? UI.clockTime(ct[t], false) : t);
+      svg.push(`<line x1="${x}" y1="${ah - 4}" x2="${x}" y2="${h}" `,
+          'stroke="#e8e8e8"></line>',
+          `<text x="${x}" y="${ah - 8}" text-anchor="middle" `,
+          'font-size="9">', label, '</text>');
+    }
+    // Add one row per leaf activity.
+    for(let i = 0; i < la.length; i++) {
+      const
+          a = la[i],
+          y = ah + i * rh,
+          clr = (a.actor ? a.actor.color : '#ffffff');
+      svg.push(`<text x="4" y="${y + rh / 2}" dominant-baseline="middle" `,
+          'font-size="10"><title>', xmlEncoded(a.displayName), '</title>',
+          xmlEncoded(a.displayName), '</text>',
+          `<line x1="${lw}" y1="${y + rh}" x2="${w}" y2="${y + rh}" `,
+          'stroke="#f0f0f0"></line>');
+      for(let t = 0; t < n; t++) if(a.state.O[t] === 1) {
+        const
+            x = tx(t),
+            bw = Math.max(this.min_bar_width, tx(t + 1) - x);
+        svg.push('<rect x="', x.toFixed(1), '" y="', y + 3,
+            '" width="', bw.toFixed(1), '" height="', rh - 6,
+            '" fill="', clr, '" stroke="', UI.color.rim,
+            '" stroke-width="0.5" style="cursor: pointer" ',
+            'onclick="TIMELINE_MANAGER.selectCycle(', t, ');"><title>',
+            'Cycle ', t, ' (', UI.clockTime(ct[t]), ')</title></rect>');
+      }
+    }
+    // Show the current cycle as a vertical line.
+    const x = tx(MODEL.t).toFixed(1);
+    svg.push(`<line x1="${x}" y1="${ah - 4}" x2="${x}" y2="${h}" `,
+        'stroke="#f07000" stroke-dasharray="', UI.sda.dash, '"></line>',
+        '</svg>');
+    this.container.innerHTML = svg.join('');
+  }
+
+} // END of class TimelineManager
@@ -34,9 +34,9 @@ SOFTWARE.
 class UndoEdit {
   constructor(action) {
     this.action = action;
-    // NOTE: Store present focal activity, as modeler may move to other
-    // activities after an edit 
-    this.activity = MODEL.focal_activity;
+    // NOTE: Store code of present focal activity, as modeler may move to
+    // other activities after an edit 
+    this.activity_code = MODEL.focal_activity.code;
     this.object_id = null;
     // NOTE: the properties stored for an edit may differ, depending on
     // the action.
@@ -48,6 +48,13 @@ class UndoEdit {
     this.xml = '';
   }
   
+  get activity() {
+    // Return the activity that was focal at the time of the edit.
+    // NOTE: Look it up by its code, as undoing a merge or a deletion
+    // replaces activity objects by new ones.
+    return MODEL.activityByCode(this.activity_code) || MODEL.top_activity;
+  }
+  
   get fullAction() {
     // Return a string that reflects this edit action.
     // If the identifier is set, return the action followed by the class name 
@@ -64,6 +71,15 @@ class UndoEdit {
     // added object.  
     } else if(this.action === 'add' && this.properties.length === 2) {
       return 'add ' + this.properties[0].toLowerCase();
+    } else if(this.action === 'merge') {
+      return 'merge ' + this.properties[0];
+    } else if(this.action === 'swimlanes') {
+      return 'swimlane view';
+    } else if(this.action === 'move' && Array.isArray(this.properties[0])) {
+      // Rearranged nodes may include links having bend points.
+      const n = this.properties.filter(
+          (p) => !(MODEL.objectByID(p[0]) instanceof Link)).length;
+      return (n ? `arrange ${pluralS(n, 'function')}` : 'route link');
     }
     // By default, return the action without further specification
     return this.action;
@@ -149,6 +165,9 @@ class UndoStack {
     // top of the UNDO stack
     let i = this.undoables.length;
     if(i === 0) return false;
+    // NOTE: Rearranged nodes are stored with their positions, so then the
+    // offset is not needed.
+    if(Array.isArray(this.undoables[i-1].properties[0])) return false;
     this.undoables[i-1].properties[3] += dx;
     this.undoables[i-1].properties[4] += dy;
   }
@@ -159,9 +178,10 @@ class UndoStack {
     // than the objects themselves, because deleted objects will have different
     // memory addresses when restored by an UNDO.
 
-    // Any action except "move" or "add note" is likely to invalidate the
-    // solver result.
-    if(action !== 'move' && !(args instanceof Note)) VM.reset();
+    // Any action except "move", "swimlanes" or "add note" is likely to
+    // invalidate the solver result.
+    if(action !== 'move' && action !== 'swimlanes' &&
+        !(args instanceof Note)) VM.reset();
 
     // If this edit is new (i.e., not a redo) then remove all "redoable" edits
     if(!tentative) this.redoables.length = 0;
@@ -173,7 +193,12 @@ class UndoStack {
       ue.setSelection();
     }
     // Set the properties of this undoable, depending on the type of action
-    if(action === 'move') {
+    if((action === 'move' || action === 'swimlanes') && Array.isArray(args)) {
+      // `args` holds a list of nodes that are about to be rearranged
+      // => store their IDs and positions, or for links their bend points
+      // NOTE: Switching swimlane view on or off also rearranges nodes.
+      ue.properties = MODEL.layoutOf(args);
+    } else if(action === 'move') {
       // `args` holds the dragged node => store its ID and position
       ue.properties = [args.identifier, args.x, args.y, 0, 0];
       // NOTE: object_id is NOT set, as dragged selection may contain
@@ -188,6 +213,17 @@ class UndoStack {
     } else if(action === 'replace') {
       // Replace passes its undo information as an object
       ue.properties = args;
+    } else if(action === 'merge') {
+      // `args` holds the accepted change => store its description, the
+      // type, key and state of the entity that it changes, and the actors
+      // in the model, as changes to functions may add or remove these.
+      // NOTE: Entities that the change deletes will add their XML to the
+      // `xml` property of this edit.
+      const
+          e = args.entity || args.other,
+          key = this.mergeKey(args.type, e);
+      ue.properties = [args.text, args.type, key,
+          this.mergeState(args.type, key), this.mergeActors];
     }
 
     // NOTE: for a DELETE action, no properties are stored; the XML needed to
@@ -216,8 +252,38 @@ class UndoStack {
 //console.log(UNDO_STACK);
   }
 
+  doSwimlanes(ue) {
+    // This method implements shared code for UNDO and REDO of switching
+    // swimlane view on or off.
+    // NOTE: After `doMove`, the edit holds the layout before the undo or
+    // redo, so this is the normal layout when swimlane view is switched on.
+    this.doMove(ue);
+    MODEL.setSwimlanes(!MODEL.swimlanes, ue.properties);
+  }
+  
   doMove(ue) {
     // This method implements shared code for UNDO and REDO of "move" actions
+    if(Array.isArray(ue.properties[0])) {
+      // Rearranged nodes => swap their stored and present positions
+      for(let i = 0; i < ue.properties.length; i++) {
+        const
+            p = ue.properties[i],
+            obj = MODEL.objectByID(p[0]);
+        if(obj instanceof Link) {
+          const bpl = obj.bend_points;
+          obj.bend_points = p[1];
+          p[1] = bpl;
+        } else if(obj) {
+          const x = obj.x, y = obj.y;
+          obj.x = p[1];
+          obj.y = p[2];
+          p[1] = x;
+          p[2] = y;
+        }
+      }
+      MODEL.selectList(ue.getSelection);
+      return;
+    }
     // First get the dragged node
     let obj = MODEL.objectByID(ue.properties[0]); 
     if(obj) {
@@ -319,6 +385,192 @@ class UndoStack {
     if(ra && ral) MODEL.selectAspect(ra, ral);
   }
   
+  mergeKey(type, e) {
+    // Return the key that identifies entity `e` of `type` in a merge.
+    // NOTE: Activities and aspects are identified by their code, as their
+    // names may be changed by a merge, and links by the codes of their
+    // activities and their connector.
+    if(type === 'Actor') return e.identifier;
+    if(type === 'Link') {
+      return [e.from_activity.code, e.to_activity.code, e.to_connector];
+    }
+    return e.code;
+  }
+  
+  mergeEntity(type, key) {
+    // Return the entity of `type` identified by `key` (or NULL).
+    if(type === 'Actor') return MODEL.actorByID(key);
+    if(type === 'Aspect') return MODEL.aspectByCode(key);
+    if(type === 'Activity') {
+      const a = MODEL.activityByCode(key);
+      return (a && a.parent ? a : null);
+    }
+    for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+      const l = MODEL.links[k];
+      if(l.from_activity.code === key[0] && l.to_activity.code === key[1] &&
+          l.to_connector === key[2]) return l;
+    }
+    return null;
+  }
+  
+  get mergeActors() {
+    // Return the XML of the actors in the model by actor ID.
+    const xml = {};
+    for(let k in MODEL.actors) if(MODEL.actors.hasOwnProperty(k)) {
+      xml[k] = MODEL.actors[k].asXML;
+    }
+    return xml;
+  }
+  
+  mergeState(type, key) {
+    // Return the present state of the entity of `type` identified by `key`
+    // as far as a merge can change it, or NULL if it does not exist.
+    const e = this.mergeEntity(type, key);
+    if(!e) return null;
+    if(type === 'Actor') return {name: e.name, color: e.color};
+    if(type === 'Aspect') {
+      const links = [];
+      for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+        if(MODEL.links[k].aspects.indexOf(e) >= 0) links.push(k);
+      }
+      return {name: e.name, comments: e.comments,
+          expression: e.expression.text, xml: e.asXML, links: links};
+    }
+    if(type === 'Link') {
+      return {comments: e.comments,
+          bend_points: e.bend_points.map((bp) => ({x: bp.x, y: bp.y})),
+          aspects: e.aspects.map((a) => a.code)};
+    }
+    // NOTE: The properties are stored as an object that has the same
+    // properties as an activity, so that they can be copied from it.
+    const
+        ov = e.output_variability,
+        s = {name: e.name, actor: e.actor.name, parent: e.parent.code,
+            x: e.x, y: e.y, comments: e.comments, background: e.background,
+            color: e.color, duration: {text: e.duration.text},
+            output_variability: {timing: {text: ov.timing.text},
+                precision: {text: ov.precision.text}},
+            expressions: {}, link_rules: {}};
+    for(let c in e.incoming_expressions) {
+      if(e.incoming_expressions.hasOwnProperty(c)) {
+        s.expressions[c] = e.incoming_expressions[c].text;
+        s.link_rules[c] = Object.assign({}, e.link_rules[c]);
+      }
+    }
+    return s;
+  }
+  
+  setMergeState(type, key, s, xml) {
+    // Make the entity of `type` identified by `key` have state `s` (see
+    // above), deleting it if `s` is NULL. Entities that do not exist are
+    // restored from `xml` when they have been deleted before.
+    let e = this.mergeEntity(type, key);
+    if(type === 'Actor') {
+      if(s) {
+        MODEL.addActor(s.name).color = s.color;
+      } else if(e) {
+        delete MODEL.actors[key];
+      }
+    } else if(type === 'Aspect') {
+      if(!s) {
+        if(!e) return;
+        for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+          const
+              l = MODEL.links[k],
+              i = l.aspects.indexOf(e);
+          if(i >= 0) l.aspects.splice(i, 1);
+        }
+        delete MODEL.aspects[e.identifier];
+      } else if(!e) {
+        e = MODEL.addAspect(s.name, null, parseXML(s.xml));
+        for(let i = 0; i < s.links.length; i++) {
+          const l = MODEL.linkByID(s.links[i]);
+          if(l) MODEL.addAspect(s.name, l);
+        }
+      } else {
+        if(e.name !== s.name) e.rename(s.name);
+        e.comments = s.comments;
+        e.expression.text = s.expression;
+      }
+    } else if(!s) {
+      if(!e) return;
+      if(type === 'Link') {
+        MODEL.deleteLink(e);
+      } else {
+        MODEL.deleteActivity(e);
+      }
+    } else {
+      if(!e && xml) {
+        // NOTE: Restored activities are added to the focal activity.
+        const fa = MODEL.focal_activity;
+        if(type === 'Activity') {
+          MODEL.focal_activity = MODEL.activityByCode(s.parent) || fa;
+        }
+        this.restoreFromXML(xml);
+        MODEL.focal_activity = fa;
+        e = this.mergeEntity(type, key);
+      }
+      if(!e) return;
+      if(type === 'Link') {
+        e.copyPropertiesFrom(s);
+        e.aspects.length = 0;
+        for(let i = 0; i < s.aspects.length; i++) {
+          const a = MODEL.aspectByCode(s.aspects[i]);
+          if(a) MODEL.addAspect(a.name, e);
+        }
+        return;
+      }
+      if(e.name !== s.name || e.actor.name !== s.actor) {
+        e.rename(s.name, s.actor);
+      }
+      const pa = MODEL.activityByCode(s.parent);
+      if(pa && e.parent !== pa) e.setParent(pa);
+      e.copyPropertiesFrom(s);
+      for(let c in s.expressions) if(s.expressions.hasOwnProperty(c)) {
+        e.incoming_expressions[c].text = s.expressions[c];
+        e.setLinkRule(c, s.link_rules[c].rule, s.link_rules[c].value);
+      }
+    }
+  }
+  
+  doMerge(ue) {
+    // This method implements shared code for UNDO and REDO of "merge"
+    // actions: swap the state of the changed entity with the state stored
+    // in the edit.
+    // NOTE: The edit must be on top of the undo stack while entities are
+    // deleted, so that their XML is added to it, while XML that has been
+    // added before is used to restore these entities.
+    const
+        p = ue.properties,
+        s = this.mergeState(p[1], p[2]),
+        ma = this.mergeActors,
+        xml = ue.xml;
+    ue.xml = '';
+    this.undoables.push(ue);
+    this.setMergeState(p[1], p[2], p[3], xml);
+    this.undoables.pop();
+    // NOTE: Renaming and deleting functions removes actors that have no
+    // functions, so restore the actors as they were, and then remove
+    // actors that did not exist and have no functions.
+    for(let k in p[4]) if(p[4].hasOwnProperty(k) && !MODEL.actors[k]) {
+      const n = parseXML(p[4][k]);
+      MODEL.addActor(xmlDecoded(nodeContentByTag(n, 'name')), n);
+    }
+    const used = [];
+    for(let k in MODEL.activities) if(MODEL.activities.hasOwnProperty(k)) {
+      used.push(MODEL.activities[k].actor.identifier);
+    }
+    for(let k in MODEL.actors) if(MODEL.actors.hasOwnProperty(k)) {
+      if(!p[4].hasOwnProperty(k) && used.indexOf(k) < 0) {
+        delete MODEL.actors[k];
+      }
+    }
+    p[3] = s;
+    p[4] = ma;
+    VM.reset();
+    if(MERGE_MANAGER.visible) MERGE_MANAGER.updateDialog();
+  }
+  
   undo() {
     // Undo the most recent "undoable" action
     let ue;
@@ -336,6 +588,9 @@ class UndoStack {
         this.doMove(ue);
         // NOTE: doMove modifies the undo edit so that it can be used as redo edit
         this.redoables.push(ue);
+      } else if(ue.action === 'swimlanes') {
+        this.doSwimlanes(ue);
+        this.redoables.push(ue);
       } else if(ue.action === 'add') {
         // UNDO add means deleting the lastly added entity
         let obj = MODEL.objectByID(ue.object_id);
@@ -381,19 +636,24 @@ class UndoStack {
         // NOTE: first focus on the original target activity
         MODEL.focal_activity = MODEL.objectByID(ue.object_id);
         // Drop the selection "back" to the focal activity
-        MODEL.dropSelectionIntoActivity(ue.parent);
+        MODEL.dropSelectionIntoActivity(ue.activity);
         // Refocus on the original focal activity.
-        MODEL.focal_activity = ue.parent;
+        MODEL.focal_activity = ue.activity;
         // NOTE: Now restore the selection in THIS activity!
         MODEL.selectList(ue.getSelection);
         // Now restore the position of the nodes.
-        MODEL.setSelectionPositions(ue.properties);
+        // NOTE: Pass a copy, as the list is consumed, while it is needed
+        // again if the action is redone and then undone.
+        MODEL.setSelectionPositions(ue.properties.slice());
         this.redoables.push(ue);
         // NOTE: A drop action will always be preceded by a move action. 
         if(ue.action === 'drop') {
           // Double-check, and if so, undo this move as well.
           if(this.topUndo === 'move') this.undo();
         }
+      } else if(ue.action === 'merge') {
+        this.doMerge(ue);
+        this.redoables.push(ue);
       }
       // Update the main window
       UI.drawDiagram(MODEL);
@@ -423,6 +683,9 @@ class UndoStack {
         this.undoables.push(re);
         // NOTE: when next redoable action is "drop", redo this as well
         if(this.topRedo === 'drop') this.redo();
+      } else if(re.action === 'swimlanes') {
+        this.doSwimlanes(re);
+        this.undoables.push(re);
       } else if(re.action === 'add') {
 //console.log('ADD redo properties:', re.properties);
         // NOTE: redo an undone "add" => mimick undoing a "delete"
@@ -446,7 +709,14 @@ class UndoStack {
         }
       } else if(re.action === 'drop' || re.action === 'lift') {
         const a = MODEL.objectByID(re.object_id);
-        if(a instanceof Activity) MODEL.dropSelectionIntoActivity(a);
+        if(a instanceof Activity) {
+          MODEL.selectList(re.getSelection);
+          MODEL.dropSelectionIntoActivity(a);
+          this.undoables.push(re);
+        }
+      } else if(re.action === 'merge') {
+        this.doMerge(re);
+        this.undoables.push(re);
       }
       UI.drawDiagram(MODEL);
       UI.updateButtons();
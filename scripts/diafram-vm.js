@@ -50,6 +50,9 @@ class Expression {
     this.compiling = false;
     // While compiling, check whether any operand depends on time.
     this.is_static = true;
+    // Dynamic expressions may depend only on the clock time, or also on
+    // the cycle number (e.g., random numbers).
+    this.cycle_dependent = false;
     // NOTE: VM expects result to be an array, even when expression is static.
     this.vector = [VM.NOT_COMPUTED];
     // Simulation clock time set points.
@@ -75,6 +78,7 @@ class Expression {
     this.text = parser.expr;
     this.code = parser.code;
     this.is_static = parser.is_static;
+    this.cycle_dependent = parser.cycle_dependent;
     this.reset();
   }
 
@@ -114,12 +118,20 @@ class Expression {
     this.compiling = true;
     // Clear the VM instruction list.
     this.code = null;
-    const xp = new ExpressionParser(this.text, this.object);
+    // NOTE: For activity expressions, the parser must know the connector
+    // to determine which aspects are in scope; output variability
+    // expressions can use the aspects incoming via any connector.
+    const
+        obj = this.object,
+        con = (obj instanceof Activity ?
+            obj.aspectOfIncomingExpression(this) || 'CRPIT' : ''),
+        xp = new ExpressionParser(this.text, obj, con);
     if(xp.error === '') {
       this.update(xp);
     } else {
       this.compile_issue = xp.error;
       this.is_static = true;
+      this.cycle_dependent = false;
       this.vector.length = 0;
       this.vector[0] = VM.INVALID;
       // Report error on-screen to modeler.
@@ -156,6 +168,16 @@ class Expression {
     return this.is_static;
   }
   
+  get isCycleDependent() {
+    // Returns TRUE if the value of this expression may change from one
+    // cycle to the next even when the clock time does not advance.
+    // NOTE: To prevent cylic recursion, return TRUE if this expression is
+    // already being compiled.
+    if(this.compiling) return true;
+    if(!this.compiled) this.compile();
+    return this.cycle_dependent;
+  }
+  
   trace(action) {
     // Adds step stack (if any) and action to the trace.
     if(DEBUGGING) {
@@ -198,6 +220,11 @@ class Expression {
           ':', this.text, '@', t, v[t]);
       return true;
     }
+    // Log the state of this expression if the computation must be undone.
+    if(VM.computation_log) {
+      VM.computation_log.push([this, t, this.time_after, this.time_until,
+          this.after_points[t], this.until_points[t]]);
+    }
     // Clear the event setpoints if simulated time has passed beyond this
     // setpoint.
     if(this.time_after !== false) {
@@ -424,7 +451,8 @@ class ExpressionParser {
     // activity for which an incoming expression is parsed.
     this.owner = owner;
     // `connector` is the aspect letter (CRPIT) in case an incoming
-    // expression is parsed.
+    // expression is parsed, or the string 'CRPIT' in case an output
+    // variability expression is parsed.
     this.connector = connector;
     // `text` is the expression string to be parsed.
     this.expr = text;
@@ -530,6 +558,7 @@ class ExpressionParser {
       // [variable@offset] where offset has form (anchor1)number1(:(anchor2)number 2)   
       // Offsets make expression dynamic (for now, ignore exceptional cases)
       this.is_static = false;
+      this.cycle_dependent = true;
       this.log('dynamic because of offset');
       // String contains at least one @ character, then split at the last (pop)
       // and check that @ sign is followed by an offset (range if `:`)
@@ -623,6 +652,7 @@ class ExpressionParser {
     // NOTE: This makes the expression dynamic.
     if(!name) {
       this.is_static = false;
+      this.cycle_dependent = true;
       this.log('dynamic because of self-reference');
       if(anchor1 === 't' && offset1 < 0 && anchor2 === 't' && offset2 < 0) {
         if(this.TRACE) console.log('TRACE: Variable is a self-reference.');
@@ -645,6 +675,8 @@ class ExpressionParser {
     if(!anchor1) anchor1 = 't';
     if(!anchor2) anchor2 = 't';
     this.is_static = this.is_static && obj.expression.isStatic;
+    this.cycle_dependent = this.cycle_dependent ||
+        obj.expression.isCycleDependent;
     args = [obj.expression, anchor1, offset1, anchor2, offset2];
     if(msg) {
       this.error = msg;
@@ -759,6 +791,8 @@ class ExpressionParser {
           // NOTE: No offsets (yet) for incoming expression operands.
           this.sym = [ax, 't',0, 't', 0];
           this.is_static = this.is_static && ax.isStatic;
+          this.cycle_dependent = this.cycle_dependent ||
+              ax.isCycleDependent;
         } else if(!this.error) {
           i = ACTUAL_SYMBOLS.indexOf(l);
           if(i < 0) {
@@ -766,7 +800,11 @@ class ExpressionParser {
           } else {
             this.sym = SYMBOL_CODES[i];
             // Using time symbols or `random` makes the expression dynamic. 
-            if(DYNAMIC_SYMBOLS.indexOf(l) >= 0) this.is_static = false;
+            if(DYNAMIC_SYMBOLS.indexOf(l) >= 0) {
+              this.is_static = false;
+              // Only the clock time symbols do not depend on the cycle.
+              if(CLOCK_SYMBOLS.indexOf(l) < 0) this.cycle_dependent = true;
+            }
             // Time symbols may only be used in Time aspect expressions.
             if(TIME_ASPECT_CODES.indexOf(this.sym) >= 0 &&
                !this.time_aspect_expression) this.error =
@@ -838,7 +876,10 @@ class ExpressionParser {
           }
           this.concatenating = false;
         }
-        if(randcode) this.is_static = false;
+        if(randcode) {
+          this.is_static = false;
+          this.cycle_dependent = true;
+        }
       }
     }
     if(DYADIC_CODES.indexOf(op) >= 0) this.sym_stack--;
@@ -859,6 +900,9 @@ class ExpressionParser {
     this.error = '';
     // `is_static` becomes FALSE when a time-dependent operand is detected.
     this.is_static = true;
+    // `cycle_dependent` becomes TRUE when a dynamic operand other than
+    // clock time is detected.
+    this.cycle_dependent = false;
     // `concatenating` becomes TRUE when a concatenation operator
     // (semicolon) is pushed, and FALSE when a reducing operator (min, max,
     // normal, weibull, triangular) is pushed.
@@ -997,6 +1041,209 @@ class ExpressionParser {
 } // END of class ExpressionParser
 
 
+// CLASS Breakpoint
+// A breakpoint pauses the simulation at the end of the cycle in which its
+// condition is met: a function becomes active, or the value of an aspect
+// compares to a number as specified by the operator.
+class Breakpoint {
+  constructor(entity, operator='>', value=0) {
+    this.entity = entity;
+    // NOTE: Operator and value apply only to aspects.
+    this.operator = operator;
+    this.value = value;
+  }
+  
+  get condition() {
+    if(this.entity instanceof Activity) return 'becomes active';
+    return `${this.operator} ${VM.sig4Dig(this.value)}`;
+  }
+  
+  get displayName() {
+    return `${this.entity.displayName} ${this.condition}`;
+  }
+  
+  isMet(t) {
+    // Return TRUE if the condition of this breakpoint is met in cycle `t`.
+    const e = this.entity;
+    if(e instanceof Activity) {
+      const o = e.state.O;
+      return o[t] === 1 && (t === 0 || o[t - 1] !== 1);
+    }
+    const v = VM.evaluatedValue(e.expression, t);
+    // Special values (errors, "not computed") never meet the condition.
+    if(VM.specialValue(v)[0]) return false;
+    const d = v - this.value;
+    switch(this.operator) {
+      case '>': return d > VM.NEAR_ZERO;
+      case '>=': return d > -VM.NEAR_ZERO;
+      case '<': return d < -VM.NEAR_ZERO;
+      case '<=': return d < VM.NEAR_ZERO;
+      case '=': return Math.abs(d) <= VM.NEAR_ZERO;
+      case '<>': return Math.abs(d) > VM.NEAR_ZERO;
+    }
+    return false;
+  }
+  
+} // END of class Breakpoint
+
+
+// CLASS Watch
+// A watch shows the state of a function, the value of an aspect, or the
+// value of an expression in the Monitor for each cycle. Watched expressions
+// can refer to any aspect in the model.
+class Watch {
+  constructor(entity, text='') {
+    // NOTE: For expression watches, `entity` is NULL, and this watch is
+    // the owner of its expression.
+    this.entity = entity;
+    // NOTE: The state of a function is not computed by an expression.
+    this.expression = (!entity ? new Expression(this, text) :
+        (entity instanceof Aspect ? entity.expression : null));
+    // The values computed during the current run, by cycle.
+    this.values = [];
+  }
+  
+  get displayName() {
+    if(this.entity) return this.entity.displayName;
+    return this.expression.text;
+  }
+  
+  get numberContext() {
+    // Expressions of watches have no context for #.
+    return '';
+  }
+  
+  incomingAspects() {
+    // Return the list of aspects that are in scope for the expression
+    // of this watch.
+    // NOTE: The expression parser calls this method for owners that are
+    // not aspects.
+    const list = [];
+    for(let k in MODEL.aspects) if(MODEL.aspects.hasOwnProperty(k)) {
+      list.push(MODEL.aspects[k]);
+    }
+    return list;
+  }
+  
+  reset() {
+    this.values.length = 0;
+    if(!this.entity) this.expression.reset();
+  }
+  
+  evaluate(t) {
+    // Compute the value of this watch for cycle `t`.
+    // NOTE: The state of a function needs no computation.
+    if(this.entity instanceof Activity) return;
+    this.values[t] = VM.evaluatedValue(this.expression, t);
+  }
+  
+  value(t) {
+    // Return the value of this watch in cycle `t`, or "undefined" if this
+    // value has not been computed.
+    if(this.entity instanceof Activity) return this.entity.state.O[t];
+    // NOTE: Watches that are added after the run has finished can still
+    // be evaluated.
+    if(this.values[t] === undefined && MODEL.solved) this.evaluate(t);
+    return this.values[t];
+  }
+  
+} // END of class Watch
+
+
+// CLASS EventQueue
+// An event queue is a priority queue of points in simulated clock time
+// (in hours), implemented as a binary heap so that the earliest event can
+// be obtained efficiently. Events for the same point in time are merged,
+// and then record all functions whose output becomes available at that
+// time (if any).
+class EventQueue {
+  constructor() {
+    this.heap = [];
+    // Lookup of queued events by their point in time.
+    this.events = {};
+  }
+  
+  get length() {
+    return this.heap.length;
+  }
+  
+  clear() {
+    this.heap.length = 0;
+    this.events = {};
+  }
+  
+  add(time, activity=null) {
+    // Schedule an event at clock time `time`. When `activity` is
+    // specified, its output becomes available at that time.
+    let e = this.events[time];
+    if(!e) {
+      e = {time: time, activities: []};
+      this.events[time] = e;
+      // Add the new event as leaf, and then restore the heap property by
+      // moving it up.
+      let i = this.heap.length;
+      this.heap.push(e);
+      while(i > 0) {
+        const p = (i - 1) >> 1;
+        if(this.heap[p].time <= time) break;
+        this.swap(i, p);
+        i = p;
+      }
+    }
+    if(activity) addDistinct(activity, e.activities);
+  }
+  
+  next() {
+    // Remove the earliest event from the queue and return it, or return
+    // NULL if the queue is empty.
+    const h = this.heap;
+    if(!h.length) return null;
+    const
+        e = h[0],
+        last = h.pop();
+    delete this.events[e.time];
+    if(h.length) {
+      // Restore the heap property by moving the last event down.
+      h[0] = last;
+      let i = 0;
+      for(;;) {
+        const
+            l = 2 * i + 1,
+            r = l + 1;
+        let m = i;
+        if(l < h.length && h[l].time < h[m].time) m = l;
+        if(r < h.length && h[r].time < h[m].time) m = r;
+        if(m === i) break;
+        this.swap(i, m);
+        i = m;
+      }
+    }
+    return e;
+  }
+  
+  swap(i, j) {
+    const e = this.heap[i];
+    this.heap[i] = this.heap[j];
+    this.heap[j] = e;
+  }
+  
+  copy() {
+    // Return a copy of this queue that is not affected by changes made
+    // to this queue.
+    const q = new EventQueue();
+    for(let i = 0; i < this.heap.length; i++) {
+      const
+          e = this.heap[i],
+          c = {time: e.time, activities: e.activities.slice()};
+      q.heap.push(c);
+      q.events[c.time] = c;
+    }
+    return q;
+  }
+  
+} // END of class EventQueue
+
+
 // CLASS VirtualMachine
 class VirtualMachine {
   constructor() {
@@ -1007,7 +1254,34 @@ class VirtualMachine {
     
     this.call_stack = [];
     this.issue_list = [];
-    this.event_setpoints = [];
+    // Points in clock time to which the simulation will advance.
+    this.event_queue = new EventQueue();
+    // While breakpoints and watches are evaluated, the computations that
+    // they trigger are logged, so that these can be undone.
+    this.computation_log = null;
+    // In event-driven mode, the VM keeps track of the functions that must
+    // be re-evaluated in the current and in the next cycle.
+    this.to_update = {};
+    this.to_update_next = {};
+    this.dynamics = {};
+    this.cycle_dependent = false;
+    this.downstream = {};
+    // The number of function evaluations during the current run, and how
+    // many of these were skipped in event-driven mode.
+    this.evaluations = 0;
+    this.skipped_evaluations = 0;
+    // The seed and state of the pseudo-random number generator.
+    this.seed = 0;
+    this.prng_state = 0;
+    // Breakpoints pause the simulation, and watched aspects and functions
+    // are shown in the Monitor for each cycle.
+    // NOTE: These lists are kept when the VM is reset.
+    this.breakpoints = [];
+    this.watches = [];
+    this.comparison_operators = ['>', '>=', '<', '<=', '=', '<>'];
+    this.solving = false;
+    this.paused = false;
+    this.single_step = false;
 
     // Floating-point constants used in calculations.
 
@@ -1062,6 +1336,19 @@ class VirtualMachine {
     // Prefix for warning messages that are logged in the monitor.
     this.WARNING = '-- Warning: ';
 
+    // FRAM distinguishes phenotypes of output variability with respect to
+    // timing and precision. In expressions, these phenotypes are coded as
+    // numbers: timing -1 = too early, 0 = on time, 1 = too late, and
+    // 2 = omitted; precision 0 = precise, 1 = acceptable, 2 = imprecise.
+    this.TIMING_PHENOTYPES = {
+      '-1': 'too early', '0': 'on time', '1': 'too late', '2': 'omitted'
+    };
+    this.PRECISION_PHENOTYPES = {
+      '0': 'precise', '1': 'acceptable', '2': 'imprecise'
+    };
+    // NOTE: An omitted output does not satisfy any downstream aspect.
+    this.OMITTED = 2;
+
     // Standard time unit conversion to hours (NOTE: ignore leap years).
     this.time_unit_values = {
       'year': 8760, 'week': 168, 'day': 24,
@@ -1118,12 +1405,19 @@ class VirtualMachine {
     UI.updateIssuePanel();
     this.messages.length = 0;
     // Clear setpoint lists.
-    this.event_setpoints.length = 0;
+    this.event_queue.clear();
+    this.to_update = {};
+    this.to_update_next = {};
+    this.evaluations = 0;
+    this.skipped_evaluations = 0;
+    for(let i = 0; i < this.watches.length; i++) this.watches[i].reset();
     // Reset the VM monitor.
     MONITOR.reset();
     this.t = 0;
     // Prepare for halt.
     this.halted = false;
+    this.paused = false;
+    this.single_step = false;
     UI.readyToSolve();
   }
   
@@ -1346,15 +1640,132 @@ class VirtualMachine {
     return pl;
   }
 
-  solveModel() {
-    // Perform successive "cycles" for the set run length.
+  seedRandom(seed=0) {
+    // Initialize the pseudo-random number generator with `seed`. When no
+    // seed is specified, a new one is generated, so that each run will
+    // differ, but can still be reproduced by using the same seed.
+    if(!seed) seed = Math.floor(Math.random() * 4294967295) + 1;
+    this.seed = seed >>> 0;
+    this.prng_state = this.seed;
+  }
+
+  random() {
+    // Return a pseudo-random number from the interval [0, 1).
+    // NOTE: This is the "Mulberry32" generator. It is fast and has a
+    // period of 2^32, which is more than sufficient for FRAM models.
+    let z = (this.prng_state = (this.prng_state + 0x6D2B79F5) | 0);
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  }
+
+  prepareToRun(seed=0) {
+    // Reset the VM and the model so that a new run can start.
+    // NOTE: The model's random seed is used unless `seed` is specified.
     this.reset();
-    MONITOR.reset();
-    this.startTimer();
+    this.seedRandom(seed || MODEL.random_seed);
     this.logMessage(0, `Simulation started at ${new Date().toString()}\n`);
+    this.logMessage(0, `Random seed: ${this.seed}\n`);
     // First establish the most logical function sequence.
     this.sequence = MODEL.triggerSequence;
+    this.prepareEvents();
     this.t = 0;
+  }
+  
+  dependency(x) {
+    // Return 2 if the value of expression `x` may change in every cycle,
+    // 1 if it may change only when the clock time advances, and 0 if it
+    // is static (or not defined).
+    if(!x.defined || x.isStatic) return 0;
+    return (x.isCycleDependent ? 2 : 1);
+  }
+  
+  prepareEvents() {
+    // Determine for each function which functions are directly downstream,
+    // and the dynamics of functions that may need to be re-evaluated even
+    // when their upstream functions do not change state.
+    this.dynamics = {};
+    this.cycle_dependent = false;
+    this.downstream = {};
+    const la = MODEL.top_activity.leafActivities;
+    for(let i = 0; i < la.length; i++) {
+      const
+          a = la[i],
+          d = a.dynamics;
+      if(d.incoming || d.variability || d.links.length) {
+        this.dynamics[a.code] = d;
+        if(Math.max(d.incoming, d.variability,
+            ...d.links.map((l) => l.dependency)) > 1) {
+          this.cycle_dependent = true;
+        }
+      }
+      for(let j = 0; j < 5; j++) {
+        const cl = a.connections['CRPIT'.charAt(j)];
+        for(let k = 0; k < cl.length; k++) {
+          const fc = cl[k].from_activity.code;
+          if(!this.downstream[fc]) this.downstream[fc] = [];
+          addDistinct(a, this.downstream[fc]);
+        }
+      }
+    }
+  }
+  
+  scheduleDownstream(a, next=true) {
+    // Mark the functions directly downstream of activity `a` for being
+    // re-evaluated in the next cycle (or else in the current cycle).
+    const
+        dl = this.downstream[a.code] || [],
+        tu = (next ? this.to_update_next : this.to_update);
+    for(let i = 0; i < dl.length; i++) tu[dl[i].code] = true;
+  }
+  
+  mustUpdate(a) {
+    // Return TRUE if the state of activity `a` must be computed in the
+    // current cycle. This is the case only for functions having upstream
+    // functions that changed output, or dynamic expressions that must be
+    // computed in this cycle. All other functions keep their state.
+    // NOTE: In the first two cycles, all functions are evaluated, as in
+    // cycle 0 incoming links are not considered.
+    const t = this.t;
+    if(t < 2 || this.to_update[a.code]) return true;
+    const d = this.dynamics[a.code];
+    if(!d) return false;
+    // When the clock time has advanced, also expressions that depend on
+    // clock time must be computed.
+    const level = (MODEL.clock_time[t] !== MODEL.clock_time[t - 1] ? 1 : 2);
+    if(d.incoming >= level) return true;
+    // Output variability is computed only while the function is active,
+    // and link aspects only while the upstream function delivers output.
+    if(d.variability >= level && a.state.O[t - 1] === 1) return true;
+    for(let i = 0; i < d.links.length; i++) {
+      const l = d.links[i];
+      if(l.dependency >= level && l.link.from_activity.outputDelivered(t)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  get quiescent() {
+    // Return TRUE if, in event-driven mode, no function can change its
+    // state any more during the current run.
+    // NOTE: Functions having expressions that depend on the cycle (e.g.,
+    // on random numbers) may change state in any cycle.
+    return MODEL.event_driven && this.t > 0 && !this.event_queue.length &&
+        !this.cycle_dependent && !Object.keys(this.to_update_next).length;
+  }
+  
+  solveModel() {
+    // Perform successive "cycles" for the set run length.
+    // NOTE: When paused, the run continues from where it stopped.
+    if(this.paused) {
+      this.resume();
+      return;
+    }
+    this.removeObsoleteBreakpoints();
+    this.prepareToRun();
+    this.solving = true;
+    this.startTimer();
     MONITOR.updateDialog();
     UI.startSolving();
     // Start iterating throught the simulation period.
@@ -1366,30 +1777,90 @@ class VirtualMachine {
       this.terminateRun();
       return;
     }
+    this.computeCycle();
+    MONITOR.updateDialog();
+    MONITOR.updateMonitorTime();
+    UI.setProgressNeedle(this.t / MODEL.run_length);
+    // Modeler may interrupt the simulation.
+    if(this.halted) {
+      this.abortRun();
+      return;
+    }
+    // Pause when a breakpoint is hit, or when stepping one cycle at a time.
+    if(this.breakpointHit() || this.single_step) {
+      this.pause();
+      return;
+    }
+    // In event-driven mode, the remaining cycles can be computed at once
+    // when no more state changes can occur.
+    if(this.quiescent && !this.fastForward(true)) {
+      MONITOR.updateDialog();
+      UI.setProgressNeedle(this.t / MODEL.run_length);
+      this.pause();
+      return;
+    }
+    // Otherwise, increase the cycle "tick"...
+    this.t++;
+    // ... and proceed asynchronously with the next cycle, so the process
+    // can be interrupted by the modeler.
+    setTimeout(() => VM.runCycle(), 10);
+  }
+  
+  computeCycle() {
+    // Advance the clock and update the state of all activities for the
+    // current cycle ("tick").
     this.logMessage(this.t, 'Cycle #' + this.t);
     let new_time = '';
     if(this.t > 0) {
-      if(this.event_setpoints.length) {
-        // Advance to the next relevant point in time, and remove it
-        // from the list of event setpoints.
-        this.event_setpoints.sort();
-        MODEL.clock_time[this.t] = this.event_setpoints.shift();
-        new_time = UI.clockTime(MODEL.clock_time[this.t]);
+      // In event-driven mode, functions are re-evaluated when their
+      // upstream functions changed state in the previous cycle...
+      this.to_update = this.to_update_next;
+      this.to_update_next = {};
+      // Advance to the earliest pending event (if any), and remove it
+      // from the event queue.
+      const e = this.event_queue.next();
+      if(e) {
+        MODEL.clock_time[this.t] = e.time;
+        new_time = UI.clockTime(e.time);
+        // ... and when the output of upstream functions becomes available.
+        for(let i = 0; i < e.activities.length; i++) {
+          this.scheduleDownstream(e.activities[i], false);
+        }
       } else {
         // Time does not advance.
         MODEL.clock_time[this.t] = MODEL.clock_time[this.t - 1];
       }
     }
     const changes = [];
+    let n = 0,
+        skipped = 0;
     for(let k in this.sequence) if(this.sequence.hasOwnProperty(k)) {
       const s = this.sequence[k];
       for(let j = 0; j < s.length; j++) {
-        const uas = s[j].updateState(VM.t);
+        const a = s[j];
+        n++;
+        if(!this.mustUpdate(a)) {
+          // The state cannot have changed, so it is copied.
+          a.copyState(VM.t);
+          skipped++;
+          continue;
+        }
+        const uas = a.updateState(VM.t);
         if(uas) {
-          changes.push(`${s[j].displayName}: ${s[j].stateChanges(VM.t)}`);        
+          changes.push(`${a.displayName}: ${a.stateChanges(VM.t)}`);        
         }
+        if(a.outputChanged(VM.t)) this.scheduleDownstream(a);
       }
     }
+    this.evaluations += n;
+    this.skipped_evaluations += skipped;
+    // Watched aspects and expressions are evaluated in each cycle, also
+    // when the functions have not needed their values.
+    for(let i = 0; i < this.watches.length; i++) {
+      this.watches[i].evaluate(this.t);
+    }
+    this.logMessage(this.t, `${n - skipped} of ${pluralS(n, 'function')}` +
+        ' re-evaluated');
     this.logMessage(this.t, pluralS(changes.length, 'state change'));
     if(changes.length) {
       changes.sort();
@@ -1411,24 +1882,250 @@ class VirtualMachine {
       pl.lasting.sort();
       this.logMessage(this.t, '- ' + pl.lasting.join('\n- '));
     }
+  }
+  
+  fastForward(breakpoints=false) {
+    // Compute the remaining cycles of a quiescent run at once: as no
+    // function can change state, their states and the clock time remain
+    // as they are in the current cycle.
+    // NOTE: Aspects may still change value, so watches are evaluated, and
+    // when `breakpoints` is TRUE, breakpoints are checked for each cycle.
+    // Return FALSE if a breakpoint is hit.
+    const la = [];
+    for(let k in this.sequence) if(this.sequence.hasOwnProperty(k)) {
+      la.push(...this.sequence[k]);
+    }
+    while(this.t < MODEL.run_length) {
+      const t = ++this.t;
+      this.logMessage(t, `Cycle #${t}\nNo function can change state`);
+      MODEL.clock_time[t] = MODEL.clock_time[t - 1];
+      for(let i = 0; i < la.length; i++) la[i].copyState(t);
+      this.evaluations += la.length;
+      this.skipped_evaluations += la.length;
+      for(let i = 0; i < this.watches.length; i++) {
+        this.watches[i].evaluate(t);
+      }
+      if(breakpoints && this.breakpointHit()) return false;
+    }
+    return true;
+  }
+  
+  breakpointHit() {
+    // Return TRUE if some breakpoint is met in the current cycle, and then
+    // notify the modeler.
+    const bp = this.breakpoints.find((b) => b.isMet(this.t));
+    if(!bp) return false;
+    UI.notify('Paused at breakpoint: ' + bp.displayName);
+    this.logMessage(this.t,
+        `\n*** Paused at breakpoint: ${bp.displayName} ***`);
+    return true;
+  }
+  
+  pause() {
+    // Pause the simulation at the end of the current cycle.
+    this.paused = true;
+    this.single_step = false;
+    UI.pauseSolving();
     MONITOR.updateDialog();
-    MONITOR.updateMonitorTime();
-    UI.setProgressNeedle(this.t / MODEL.run_length);
-    // Modeler may interrupt the simulation.
-    if(this.halted) {
-      UI.notify('Simulation was aborted -- results will be partial');
-      this.logMessage(this.t,
-          `\n*** Simulation aborted at ${new Date().toString()} ***`);
-      this.terminateRun();
-      return;
+  }
+  
+  step() {
+    // Compute only the next cycle, starting a new run if the model is not
+    // being solved.
+    if(this.paused) {
+      this.resume(true);
+    } else if(!this.solving) {
+      this.solveModel();
+      this.single_step = true;
     }
-    // Otherwise, increase the cycle "tick"...
+  }
+  
+  resume(step=false) {
+    // Continue a paused simulation with the next cycle, and pause again
+    // after this cycle if `step` is TRUE.
+    if(!this.paused) return;
+    this.paused = false;
+    this.single_step = step;
+    UI.startSolving();
     this.t++;
-    // ... and proceed asynchronously with the next cycle, so the process
-    // can be interrupted by the modeler.
     setTimeout(() => VM.runCycle(), 10);
   }
   
+  abortRun() {
+    UI.notify('Simulation was aborted -- results will be partial');
+    this.logMessage(this.t,
+        `\n*** Simulation aborted at ${new Date().toString()} ***`);
+    this.terminateRun();
+  }
+  
+  removeObsoleteBreakpoints() {
+    // Remove breakpoints and watches for entities that are not (or no
+    // longer) part of the model.
+    const inModel = (e) => MODEL.activities[e.identifier] === e ||
+        MODEL.aspects[e.identifier] === e;
+    for(let i = this.breakpoints.length - 1; i >= 0; i--) {
+      if(!inModel(this.breakpoints[i].entity)) this.breakpoints.splice(i, 1);
+    }
+    // NOTE: Expression watches have no entity.
+    for(let i = this.watches.length - 1; i >= 0; i--) {
+      const e = this.watches[i].entity;
+      if(e && !inModel(e)) this.watches.splice(i, 1);
+    }
+  }
+  
+  computedValue(x, t) {
+    // Return the result of expression `x` for cycle `t` if it has already
+    // been computed, and otherwise VM.NOT_COMPUTED.
+    // NOTE: Explanations of function states show only the values that the
+    // functions have actually used.
+    if(!x.defined) return VM.UNDEFINED;
+    // Static expressions do not involve random numbers.
+    if(x.isStatic) return x.result(0);
+    const v = x.vector[t];
+    return (v === undefined || v === VM.COMPUTING ? VM.NOT_COMPUTED : v);
+  }
+  
+  evaluatedValue(x, t) {
+    // Return the result of expression `x` for cycle `t`, computing it if
+    // the functions have not needed this value (yet).
+    // NOTE: Breakpoints and watches may compute values that would not be
+    // computed otherwise. As this may draw random numbers and schedule
+    // events, all these computations are undone afterwards, so that the
+    // outcome of the run does not change. Only the values of expressions
+    // that are watched are kept.
+    if(!x.defined) return VM.UNDEFINED;
+    const
+        ps = this.prng_state,
+        eq = this.event_queue.copy(),
+        log = [];
+    this.computation_log = log;
+    const v = x.result(t);
+    this.computation_log = null;
+    for(let i = log.length - 1; i >= 0; i--) {
+      const [lx, lt, ta, tu, ap, up] = log[i];
+      if(!(lx.object instanceof Watch)) {
+        lx.vector[lt] = VM.NOT_COMPUTED;
+        lx.time_after = ta;
+        lx.time_until = tu;
+        lx.after_points[lt] = ap;
+        lx.until_points[lt] = up;
+      }
+    }
+    this.prng_state = ps;
+    this.event_queue = eq;
+    return v;
+  }
+  
+  run(cycles=0, seed=0) {
+    // Solve the model synchronously and return the results as plain data.
+    // NOTE: Unlike `solveModel`, this method uses no timers, so it can
+    // also be called when diaFRAM runs headless (e.g., under Node.js).
+    // For the same reason, breakpoints are ignored.
+    // NOTE: In event-driven mode, the remaining cycles are computed at
+    // once when no function can change state any more.
+    // When `cycles` is specified, it overrides the model's run length for
+    // this run only, and when `seed` is specified, it overrides the model's
+    // random seed.
+    const rl = MODEL.run_length;
+    if(cycles > 0) {
+      MODEL.run_length = Math.floor(cycles);
+      MODEL.cleanVector(MODEL.clock_time, 0, 0);
+    }
+    try {
+      this.prepareToRun(seed);
+      while(this.t <= MODEL.run_length && !this.halted) {
+        this.computeCycle();
+        if(this.quiescent) this.fastForward();
+        this.t++;
+      }
+      // NOTE: The diagram can show the results only when they cover the
+      // run length of the model.
+      MODEL.solved = (MODEL.run_length === rl);
+      MODEL.t = 0;
+      return this.results;
+    } finally {
+      MODEL.run_length = rl;
+    }
+  }
+
+  runBatch(runs, cycles=0) {
+    // Run the model `runs` times, and return the batch with the outcome
+    // samples of these runs.
+    const batch = new BatchRun(runs);
+    while(!batch.done) batch.addRun(this.run(cycles, batch.nextSeed));
+    return batch;
+  }
+
+  runExperiment(scenarios) {
+    // Run the model for each of the `scenarios` and then for the baseline,
+    // and return the experiment with the activation counts of these runs.
+    const x = new Experiment(scenarios);
+    while(!x.done) x.runNext();
+    return x;
+  }
+
+  runSweep(aspect, from, to, steps, exits) {
+    // Run the model for `steps` + 1 values of `aspect` from `from` to `to`,
+    // and return the sweep with the outcomes for the `exits` functions.
+    const s = new SensitivitySweep(aspect, from, to, steps, exits);
+    while(!s.done) s.runNext();
+    return s;
+  }
+
+  get results() {
+    // Return the results of the last run as a plain object that can be
+    // serialized as JSON.
+    const
+        n = MODEL.run_length + 1,
+        res = {
+          model: MODEL.name,
+          run_length: MODEL.run_length,
+          seed: this.seed,
+          clock_time: MODEL.clock_time.slice(0, n),
+          activities: {},
+          aspects: {},
+          issues: this.issue_list.slice()
+        },
+        la = MODEL.top_activity.leafActivities;
+    // For each activity, add its state vectors.
+    for(let i = 0; i < la.length; i++) {
+      const
+          a = la[i],
+          state = {};
+      for(let c in a.state) if(a.state.hasOwnProperty(c)) {
+        state[c] = a.state[c].slice(0, n);
+      }
+      res.activities[a.code] = {name: a.displayName, state: state,
+          phenotype: {timing: a.phenotype.timing.slice(0, n),
+              precision: a.phenotype.precision.slice(0, n)}};
+    }
+    // For each aspect, add its values for all cycles.
+    for(let k in MODEL.aspects) if(MODEL.aspects.hasOwnProperty(k)) {
+      const
+          a = MODEL.aspects[k],
+          values = [];
+      for(let t = 0; t < n; t++) values.push(a.value(t));
+      res.aspects[a.code] = {name: a.displayName, values: values};
+    }
+    return res;
+  }
+  
+  countActivations(o) {
+    // Return [n, first] where `n` is the number of activations of a
+    // function having output state vector `o` (see `results`), i.e., the
+    // number of cycles in which its output becomes 1, and `first` is the
+    // cycle of its first activation, or -1 if it is never activated.
+    let n = 0,
+        first = -1;
+    for(let t = 0; t < o.length; t++) {
+      if(o[t] === 1 && (t === 0 || o[t - 1] !== 1)) {
+        n++;
+        if(first < 0) first = t;
+      }
+    }
+    return [n, first];
+  }
+  
   terminateRun() {
     MODEL.solved = true;
     this.stopSolving();
@@ -1464,6 +2161,7 @@ class VirtualMachine {
   }
   
   stopSolving() {
+    this.solving = false;
     this.stopTimer();
     UI.stopSolving();
     UI.readyToReset();
@@ -1471,6 +2169,12 @@ class VirtualMachine {
 
   halt() {
     // Abort solving process.
+    // NOTE: A paused run has no pending cycle to detect the halt.
+    if(this.paused) {
+      this.paused = false;
+      this.abortRun();
+      return;
+    }
     UI.waitToStop();
     this.halted = true;
   }
@@ -1526,7 +2230,9 @@ function VMI_push_last_activation(x) {
   // Push the clock time (in hours) of the cycle in which the parent
   // activity of the owning aspect of expression `x` was last activated,
   // or 0 when this owner is not an aspect.
-  const act = (x.object instanceof Aspect ? x.object.parent : x.object);
+  // NOTE: Expressions of watches have no parent activity.
+  const act = (x.object instanceof Aspect ? x.object.parent :
+      (x.object instanceof Activity ? x.object : null));
   let t = x.step[x.step.length - 1];
   if(DEBUGGING) {
     console.log(`push last activation of ${act.displayName} (t = ${t})`);
@@ -1544,9 +2250,44 @@ function VMI_push_last_activation(x) {
   if(DEBUGGING) console.log(`last activation = ${UI.clockTime(lat)}`);
 }
 
+function VMI_push_phenotype(x, kind) {
+  // Push the `kind` (timing or precision) phenotype of the output
+  // variability that is "received" by expression `x`. For an aspect
+  // expression, this is the phenotype of the output of the aspect's
+  // parent activity; for an incoming expression, it is the most severe
+  // phenotype of the active upstream activities linked to this connector;
+  // for an output variability expression, it is the most severe phenotype
+  // of all active upstream activities, so that variability propagates.
+  const t = x.step[x.step.length - 1];
+  let p = VM.UNDEFINED;
+  if(t > 0) {
+    if(x.object instanceof Aspect) {
+      if(x.object.parent) {
+        p = x.object.parent.phenotype[kind][t - 1];
+        if(p === undefined) p = VM.UNDEFINED;
+      }
+    } else if(x.object instanceof Activity) {
+      const con = x.object.aspectOfIncomingExpression(x);
+      p = x.object.upstreamPhenotype(kind, t, con || 'CRPIT');
+    }
+  }
+  if(DEBUGGING) console.log(`push ${kind} phenotype = ${VM.sig4Dig(p)}`);
+  x.push(p);
+}
+
+function VMI_push_timing(x) {
+  // Push the timing phenotype (see above).
+  VMI_push_phenotype(x, 'timing');
+}
+
+function VMI_push_precision(x) {
+  // Push the precision phenotype (see above).
+  VMI_push_phenotype(x, 'precision');
+}
+
 function VMI_push_random(x) {
   // Push a random number from the interval [0, 1).
-  const r = Math.random();
+  const r = VM.random();
   if(DEBUGGING) console.log('push random =', r);
   x.push(r);
 }
@@ -1580,7 +2321,7 @@ function VMI_after(x) {
       x.time_after = d;
       x.after_points[t] = d;
       // NOTE: Points in time are stored as floating point numbers.
-      addDistinct(d, VM.event_setpoints); 
+      VM.event_queue.add(d);
     }
   }
 }
@@ -1613,7 +2354,7 @@ function VMI_until(x) {
         // setpoint
         x.until_points[t] = d;
         x.time_until = d;
-        addDistinct(d, VM.event_setpoints);
+        VM.event_queue.add(d);
       } else {
         // No change in UNTIL setpoint, so record the current one.
         x.until_points[t] = tu;        
@@ -1760,13 +2501,10 @@ function VMI_push_var(x, args) {
           args[1], args[2], args[3], args[4], 1, x);
   let t = tot[0];
   // Negative time step is evaluated as t = 0 (initial value), while t
-  // beyond the optimization period is evaluated as its last time step
-  // UNLESS t is used in a self-referencing variable.
+  // beyond the run length is evaluated as its last time step UNLESS t is
+  // used in a self-referencing variable.
   const xv = obj.hasOwnProperty('xv');
-  if(!xv) {
-    t = Math.max(0, Math.min(
-        MODEL.end_period - MODEL.start_period + MODEL.look_ahead + 1, t));
-  }
+  if(!xv) t = Math.max(0, Math.min(MODEL.run_length, t));
   // Trace only now that time step t has been computed.
   if(DEBUGGING) {
     console.log('push var:', (xv ? '[SELF]' :
@@ -2408,18 +3146,18 @@ function VMI_if_else(x) {
 
 function randomExponential(lambda) {
   // Return a random number drawn from a Exp(lambda) distribution.
-  return -Math.log(Math.random()) / lambda;
+  return -Math.log(VM.random()) / lambda;
 }
 
 function randomWeibull(lambda, k) {
   // Return a random number drawn from a Weibull(lambda, k) distribution.
   if(Math.abs(k) < VM.NEAR_ZERO) return VM.DIV_ZERO;
-  return lambda * Math.pow(-Math.log(Math.random()), 1.0 / k);
+  return lambda * Math.pow(-Math.log(VM.random()), 1.0 / k);
 }
 
 function randomTriangular(a, b, c=0.5*(a + b)) {
   // Return a random number drawn from a Triangular(a, b, c) distribution.
-  const u = Math.random(), b_a = b - a, c_a = c - a;
+  const u = VM.random(), b_a = b - a, c_a = c - a;
   if(u < c_a / b_a) {
     return a + Math.sqrt(u * b_a * c_a);
   } else {
@@ -2440,7 +3178,7 @@ function randomNormal(mean, std) {
     c6 = 2.93816398269878,
     d1 = 7.78469570904146E-03, d2 = 0.32246712907004, d3 = 2.445134137143,
     d4 = 3.75440866190742,
-    p = Math.random(), p_low = 0.02425, p_high = 1 - p_low;
+    p = VM.random(), p_low = 0.02425, p_high = 1 - p_low;
   let q, r, zn = 0, zd = 1;
   if(p >= p_low && p <= p_high) {
     q = p - 0.5;
@@ -2461,7 +3199,7 @@ function randomBinomial(n, p) {
         log_q = Math.log(1.0 - pp);
   let x = 0, sum = 0;
   while(true) {
-    sum += Math.log(Math.random()) / (n - x);
+    sum += Math.log(VM.random()) / (n - x);
     if(sum < log_q) return (pp === p ? x : n - x);
     x++;
   }
@@ -2501,7 +3239,7 @@ function randomPoisson(lambda) {
     let k = 0, p = 1;
     do {
       k++;
-      p *= Math.random();
+      p *= VM.random();
     } while(p > L);
     return k - 1;
   } else {
@@ -2514,11 +3252,11 @@ function randomPoisson(lambda) {
           k = Math.log(c) - lambda - Math.log(beta);
     let n, u, v, x, y, lhs, rhs; 
     while(true) {
-      u = Math.random();
+      u = VM.random();
       x = (alpha - Math.log((1.0 - u) / u)) / beta;
       n = Math.floor(x + 0.5);
       if(n < 0) continue;
-      v = Math.random();
+      v = VM.random();
       y = alpha - beta * x;
       lhs = y + Math.log(Math.pow(v / (1.0 + Math.exp(y)), 2));
       rhs = k + n * Math.log(lambda) - Math.log(factorial(n));
@@ -2539,14 +3277,17 @@ const
       'random', 'true', 'false',
       'pi', 'infinity', '#',
       'yr', 'wk', 'd', 'h',
-      'm', 's'],
+      'm', 's', 'timing', 'precision'],
   CONSTANT_CODES = [
       VMI_push_time_step, VMI_push_clock_time, VMI_push_last_activation,
       VMI_push_random, VMI_push_true, VMI_push_false,
       VMI_push_pi, VMI_push_infinity, VMI_push_contextual_number,
       VMI_push_year, VMI_push_week, VMI_push_day, VMI_push_hour,
-      VMI_push_minute, VMI_push_second],
-  DYNAMIC_SYMBOLS = ['c', 'now', 'last', 'random', 'after', 'until'],
+      VMI_push_minute, VMI_push_second, VMI_push_timing, VMI_push_precision],
+  DYNAMIC_SYMBOLS = ['c', 'now', 'last', 'random', 'after', 'until',
+      'timing', 'precision'],
+  // Dynamic symbols that depend only on the clock time.
+  CLOCK_SYMBOLS = ['now', 'after', 'until'],
   MONADIC_OPERATORS = [
       '~', 'not', 'abs', 'sin', 'cos', 'atan', 'ln',
       'exp', 'sqrt', 'round', 'int', 'fract', 'min', 'max',
@@ -0,0 +1,55 @@
+/*
+Regression test: a model having aspects with fan-in and fan-out must keep
+all its links when exported to FRAM Model Visualiser format and imported
+again. Run with `node tests/fmv-round-trip.js` (requires @xmldom/xmldom).
+*/
+
+const
+    assert = require('assert'),
+    path = require('path'),
+    {loadDiaFRAM, loadModel} = require(
+        path.join(__dirname, '..', 'diafram-console.js'));
+
+function linkSet() {
+  // Return the sorted list of links of MODEL as "FROM -> TO [c] (aspects)".
+  const ls = [];
+  for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+    const l = MODEL.links[k];
+    ls.push(`${l.from_activity.name} -> ${l.to_activity.name} ` +
+        `[${l.to_connector}] (` +
+        l.aspects.map((a) => a.name).sort().join(', ') + ')');
+  }
+  return ls.sort();
+}
+
+loadDiaFRAM();
+const
+    acts = {},
+    couplings = [
+      // Fan-out: aspect "x" couples A to B and to C.
+      ['A', 'B', 'I', 'x'],
+      ['A', 'C', 'P', 'x'],
+      // Fan-in: aspect "y" couples B and C to D.
+      ['B', 'D', 'I', 'y'],
+      ['C', 'D', 'I', 'y'],
+      // Fan-in and fan-out on different connectors.
+      ['D', 'E', 'R', 'z'],
+      ['D', 'F', 'T', 'z'],
+      ['C', 'F', 'T', 'z']
+    ];
+for(const n of ['A', 'B', 'C', 'D', 'E', 'F']) {
+  acts[n] = MODEL.addActivity(n, '');
+}
+for(const c of couplings) {
+  const l = MODEL.addLink(acts[c[0]], acts[c[1]], c[2]);
+  MODEL.addAspect(c[3], l);
+}
+// NOTE: Aspect "z" is output of C, so FMV will also couple C to E.
+const expected = linkSet().concat(['C -> E [R] (z)']).sort();
+assert.strictEqual(expected.length, couplings.length + 1);
+
+assert.ok(loadModel(MODEL.asFMV), 'FMV export could not be imported');
+assert.deepStrictEqual(linkSet(), expected);
+const report = MODEL.fmv_import_report;
+assert.deepStrictEqual(report.unmapped, []);
+console.log(`OK: ${expected.length} links survive the FMV round trip`);